@@ -1,17 +1,20 @@
 /* eslint-disable react/prop-types */
-import {DeckGL, FlyToInterpolator, GeoJsonLayer, TileLayer} from 'deck.gl';
-import React, {useCallback, useState, useEffect, useRef} from 'react';
+import {DeckGL, FlyToInterpolator, TileLayer} from 'deck.gl';
+import React, {useCallback, useMemo, useState, useEffect, useRef} from 'react';
 import {hot} from 'react-hot-loader/root';
 import {StaticMap} from 'react-map-gl';
 import {useDispatch, useSelector} from 'react-redux';
 import TerrainLayer from '../terrain-layer/terrain-layer';
 import './App.css';
+import {clipFeatures, getBreaklines} from './breaklines';
 import {lightingEffect} from './lighting';
+import {MESH_MAX_ERROR_LEVELS} from './meshLevels';
 import {
   setBearing,
   resetViewport,
   setZoom,
-  setMouseEvent
+  setMouseEvent,
+  setGroundElevation
   // setTideIndex
 } from './redux/action';
 import {PLYLoader} from '@loaders.gl/ply';
@@ -72,6 +75,15 @@ const ZOOMED_OUT = {
 //   zoom: 15.575652626612417
 // };
 
+// * depth in meters of the skirts hiding cracks between neighbouring terrain tiles
+const TILE_SKIRT_HEIGHT = 50;
+// * pixels between the vertices shared by neighbouring delatin tiles
+const TILE_BORDER_SPACING = 32;
+// * contour lines every 20m, labelled every 100m
+const CONTOURS = {interval: 20, indexInterval: 100};
+// * id of the terrain tile layer, whose terrain layers give the ground height under the cursor
+const TERRAIN_TILES_ID = 'terrain-tiles';
+
 const tide_names = [
   'ww3_hs_20210803000000.png',
   'ww3_hs_20210803030000.png',
@@ -96,6 +108,7 @@ function App() {
   const radarVisibility = useSelector((state) => state.radarVisibility);
   const radarData = useSelector((state) => state.radarData);
   const tidalHeightMultiplier = useSelector((state) => state.tidalHeightMultiplier);
+  const verticalExaggeration = useSelector((state) => state.verticalExaggeration);
 
   const [initialViewState, setInitialViewState] = useState(ZOOMED_OUT);
   const [viewState, setViewState] = useState(initialViewState);
@@ -141,6 +154,39 @@ function App() {
     }
   }, [resetViewportFlag]);
 
+  useEffect(() => {
+    loadCoastlineData();
+  }, []);
+
+  const [coastlineData, setCoastlineData] = useState();
+  const loadCoastlineData = async () => {
+    const d = await axios.get(`https://${routerIP}/coastline.pbf`, {
+      responseType: 'arraybuffer'
+    });
+    const data = geobuf.decode(new Pbf(d.data));
+    setCoastlineData(data);
+  };
+
+  // * coastline of each tile, clipped once when the tile is first rendered
+  const tileCoastlines = useMemo(() => new WeakMap(), [coastlineData]);
+  const getTileCoastline = (tile) => {
+    if (!coastlineData) {
+      return {vectorData: null, breaklines: null};
+    }
+    if (!tileCoastlines.has(tile)) {
+      const vectorData = clipFeatures(coastlineData, tile.bbox);
+      tileCoastlines.set(tile, {vectorData, breaklines: getBreaklines(vectorData)});
+    }
+    return tileCoastlines.get(tile);
+  };
+  // * the terrain tiles follow the coastline, Martini cannot
+  const hasBreaklines = tesselator !== 'martini';
+  // * borders of delatin tiles are locked so that neighbours share their border vertices.
+  // * the vertices share their positions, not their elevations: the skirts hide the steps
+  const borderSpacing = tesselator !== 'martini' ? TILE_BORDER_SPACING : null;
+  // * locked borders need delatin, which 'auto' would otherwise only pick behind the scenes
+  const tileTesselator = borderSpacing ? 'delatin' : tesselator;
+
   // * tides layer
   const Tides =
     tidesVisibility &&
@@ -182,6 +228,8 @@ function App() {
 
       tesselator: tesselator,
       meshMaxError: meshMaxError,
+      meshMaxErrorLevels: MESH_MAX_ERROR_LEVELS,
+      verticalExaggeration,
       updateTriggers: {
         meshMaxError,
         tesselator,
@@ -238,6 +286,7 @@ function App() {
   const tiles =
     terrainVisibility &&
     new TileLayer({
+      id: TERRAIN_TILES_ID,
       // https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames#Tile_servers
       // data: 'https://a.tile.openstreetmap.org/{z}/{x}/{y}.png', // ! for testing
       // data: 'http://0.0.0.0:8080/tiles/{x}-{y}-{z}.png',
@@ -251,17 +300,13 @@ function App() {
         const {
           bbox: {west, south, east, north}
         } = props.tile;
+        const coastline = getTileCoastline(props.tile);
+        const breaklines = hasBreaklines ? coastline.breaklines : null;
 
         const terrainLayerHK = new TerrainLayer(props, {
           id: `hkterrain-${props.tile.z}-${props.tile.x}-${props.tile.y}`,
 
-          // * terrarium decoder
-          elevationDecoder: {
-            rScaler: 256,
-            gScaler: 1,
-            bScaler: 1 / 256,
-            offset: -32768
-          },
+          elevationDecoder: 'hk-dsm',
 
           material: {
             ambient: 0.5,
@@ -275,20 +320,28 @@ function App() {
           // * text texture switch
           texture: textureSelect(props),
 
-          tesselator: tesselator,
-          meshMaxError: meshMaxError
+          tesselator: tileTesselator,
+          meshMaxError: meshMaxError,
+          meshMaxErrorLevels: MESH_MAX_ERROR_LEVELS,
+          computeNormals: true,
+          skirtHeight: TILE_SKIRT_HEIGHT,
+          breaklines,
+          borderSpacing,
+          verticalExaggeration,
+
+          // * coastline snapped to the mesh, on the HK terrain drawn on top
+          vectorData: coastline.vectorData,
+          vectorColor: [219, 26, 32],
+          vectorWidth: 1,
+
+          contours: CONTOURS,
+          contourColor: [255, 255, 255, 160]
         });
 
         const terrainLayerOutsideHK = new TerrainLayer(props, {
           id: `terrainOutsideHK-${props.tile.z}-${props.tile.x}-${props.tile.y}`,
 
-          // * mapbox decoder
-          elevationDecoder: {
-            rScaler: 256 * 256 * 0.1,
-            gScaler: 256 * 0.1,
-            bScaler: 0.1,
-            offset: -10000
-          },
+          elevationDecoder: 'mapbox',
 
           material: {
             ambient: 0.5,
@@ -302,8 +355,14 @@ function App() {
           // * text texture switch
           texture: textureSelect(props),
 
-          tesselator: tesselator,
-          meshMaxError: meshMaxError
+          tesselator: tileTesselator,
+          meshMaxError: meshMaxError,
+          meshMaxErrorLevels: MESH_MAX_ERROR_LEVELS,
+          computeNormals: true,
+          skirtHeight: TILE_SKIRT_HEIGHT,
+          breaklines,
+          borderSpacing,
+          verticalExaggeration
         });
 
         // ! test OSM buildings layer
@@ -337,45 +396,8 @@ function App() {
       updateTriggers: {
         meshMaxError,
         tesselator,
-        texture
-      }
-    });
-
-  useEffect(() => {
-    loadCoastlineData();
-  }, []);
-
-  const [coastlineData, setCoastlineData] = useState();
-  const loadCoastlineData = async () => {
-    const d = await axios.get(`https://${routerIP}/coastline.pbf`, {
-      responseType: 'arraybuffer'
-    });
-    const data = geobuf.decode(new Pbf(d.data));
-    setCoastlineData(data);
-  };
-
-  // TODO: can try to use kyle barron's library to snap vector features to the terrain (https://github.com/kylebarron/snap-to-tin)
-  // * now the coastline are snapped to the seafloor, i.e. 0m
-  const coastLine =
-    coastlineData &&
-    new GeoJsonLayer({
-      id: 'coast-line',
-      data: coastlineData,
-      // pickable: false,
-      // stroked: false,
-      filled: false,
-      // extruded: true,
-      // wireframe: true,
-      getLineWidth: 1,
-      lineWidthScale: 5,
-      lineWidthMinPixels: 1,
-      getLineColor: [219, 26, 32],
-      // lineCapRounded: true,
-      // getElevation: 30,
-      // getPolygonOffset: () => [0, -10000], // * temp solution
-      parameters: {
-        // * turn off depth test to get rid of z-fighting for this layer
-        depthTest: false
+        texture,
+        coastlineData
       }
     });
 
@@ -390,16 +412,40 @@ function App() {
     // setViewBbox(viewBbox);
   });
 
+  // * ground height under the cursor, from the terrain tiles drawn last, i.e. on top
+  const onHover = useCallback((e) => {
+    dispatch(setMouseEvent(e));
+
+    const deck = deckRef.current && deckRef.current.deck;
+    let elevation = null;
+    if (deck && e.coordinate) {
+      const terrainLayers = deck.layerManager
+        .getLayers()
+        .filter(
+          (layer) =>
+            layer instanceof TerrainLayer && layer.parent && layer.parent.id === TERRAIN_TILES_ID
+        )
+        .reverse();
+      for (const layer of terrainLayers) {
+        elevation = layer.getElevation(e.coordinate);
+        if (elevation !== null) {
+          break;
+        }
+      }
+    }
+    dispatch(setGroundElevation(elevation));
+  }, []);
+
   return (
     <DeckGL
       controller
       initialViewState={initialViewState}
-      layers={[tiles, Tides, coastLine, pc]}
+      layers={[tiles, Tides, pc]}
       effects={[lightingEffect]}
       onViewStateChange={onViewStateChange}
       _pickable={false}
       ref={deckRef}
-      onHover={(e) => dispatch(setMouseEvent(e))}
+      onHover={onHover}
     >
       <StaticMap
         mapboxApiAccessToken={MAPBOX_ACCESS_TOKEN}
@@ -0,0 +1,46 @@
+import lineclip from 'lineclip';
+
+// * polylines of a GeoJSON geometry, with the rings of polygons
+function getGeometryLines(geometry) {
+  switch (geometry && geometry.type) {
+    case 'LineString':
+      return [geometry.coordinates];
+    case 'MultiLineString':
+    case 'Polygon':
+      return geometry.coordinates;
+    case 'MultiPolygon':
+      return [].concat(...geometry.coordinates);
+    default:
+      // * points do not make lines, features may have no geometry
+      return [];
+  }
+}
+
+// * polylines of a GeoJSON feature collection, e.g. the coastline, as terrain breaklines
+export function getBreaklines(geojson) {
+  const breaklines = [];
+  for (const {geometry} of geojson.features) {
+    breaklines.push(...getGeometryLines(geometry));
+  }
+  return breaklines;
+}
+
+// * lines of a GeoJSON feature collection inside a tile, so that each tile only drapes and
+// * follows its own part of the coastline. Polygons become their clipped rings
+export function clipFeatures(geojson, {west, south, east, north}) {
+  const features = [];
+  for (const {geometry, properties} of geojson.features) {
+    const lines = [];
+    for (const line of getGeometryLines(geometry)) {
+      lines.push(...lineclip.polyline(line, [west, south, east, north]));
+    }
+    if (lines.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: {type: 'MultiLineString', coordinates: lines},
+        properties
+      });
+    }
+  }
+  return {type: 'FeatureCollection', features};
+}
@@ -15,8 +15,10 @@ import {
   setTerrainVisibility,
   setTesselator,
   setTidalHeightMultiplier,
-  setTidesVisibility
+  setTidesVisibility,
+  setVerticalExaggeration
 } from './redux/action';
+import {MESH_MAX_ERROR_LEVELS} from './meshLevels';
 import useWindowDimensions from './windowDimensions';
 
 const Tesselator = () => {
@@ -84,12 +86,13 @@ const MeshMaxErrorSlider = () => {
       <div>Max Mesh Error</div>
       <Slider
         value={meshMaxError}
-        min={0}
-        max={50}
-        step={1}
+        min={MESH_MAX_ERROR_LEVELS[0]}
+        max={MESH_MAX_ERROR_LEVELS[MESH_MAX_ERROR_LEVELS.length - 1]}
+        // * only the loaded levels of detail, switching between them does not reload the terrain
+        step={null}
+        marks={MESH_MAX_ERROR_LEVELS.map((value) => ({value}))}
         // valueLabelDisplay="on"
-        // onChange={(event, value) => setDisplayMaxError(value)}
-        onChangeCommitted={(event, value) => {
+        onChange={(event, value) => {
           dispatch(setMeshMaxError(value));
         }}
       />
@@ -131,6 +134,38 @@ const TidalHeightSlider = () => {
   );
 };
 
+const VerticalExaggerationSlider = () => {
+  const dispatch = useDispatch();
+  const verticalExaggeration = useSelector((state) => state.verticalExaggeration);
+
+  return (
+    <div
+      style={{
+        fontFamily: 'Ubuntu',
+        backgroundColor: 'white',
+        borderRadius: 10,
+        paddingLeft: '12px',
+        paddingRight: '12px',
+        paddingTop: '7px',
+        paddingBottom: '7px',
+        color: '#292929'
+      }}
+    >
+      <div>Vertical Exaggeration</div>
+      <Slider
+        value={verticalExaggeration}
+        min={1}
+        max={10}
+        step={0.5}
+        onChange={(event, value) => {
+          dispatch(setVerticalExaggeration(value));
+        }}
+      />
+      <div>{verticalExaggeration}x</div>
+    </div>
+  );
+};
+
 const TerrainVisibility = () => {
   const dispatch = useDispatch();
   const {width} = useWindowDimensions();
@@ -230,6 +265,7 @@ const Controls = () => {
       <TidalHeightSlider />
       <Tesselator />
       <MeshMaxErrorSlider />
+      <VerticalExaggerationSlider />
     </div>
   );
 };
@@ -7,6 +7,7 @@ const Info = () => {
   const zoom = useSelector((state) => state.zoom);
   const bearing = useSelector((state) => state.bearing);
   const mouseEvent = useSelector((state) => state.mouseEvent);
+  const groundElevation = useSelector((state) => state.groundElevation);
 
   const [lat, setLat] = useState(0);
   const [lon, setLon] = useState(0);
@@ -35,6 +36,9 @@ const Info = () => {
       <div style={{fontFamily: 'Ubuntu', fontSize: 12}}>Bearing: {bearing}</div>
       <div style={{fontFamily: 'Ubuntu', fontSize: 12}}>Lon: {lon}</div>
       <div style={{fontFamily: 'Ubuntu', fontSize: 12}}>Lat: {lat}</div>
+      <div style={{fontFamily: 'Ubuntu', fontSize: 12}}>
+        Elevation: {groundElevation === null ? '-' : `${groundElevation.toFixed(1)} m`}
+      </div>
     </div>
   );
 };
@@ -0,0 +1,2 @@
+// * mesh errors in meters of the terrain levels of detail, all built from one download of a tile
+export const MESH_MAX_ERROR_LEVELS = [0, 2, 5, 10, 20, 50];
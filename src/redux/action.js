@@ -46,6 +46,11 @@ export const setMouseEvent = (e) => ({
   payload: e
 });
 
+export const setGroundElevation = (z) => ({
+  type: 'SET_GROUND_ELEVATION',
+  payload: z
+});
+
 export const setTerrainVisibility = (b) => ({
   type: 'SET_TERRAIN_VISIBILITY',
   payload: b
@@ -70,3 +75,8 @@ export const setTidalHeightMultiplier = (m) => ({
   type: 'SET_TIDAL_HEIGHT_MULTIPLIER',
   payload: m
 });
+
+export const setVerticalExaggeration = (m) => ({
+  type: 'SET_VERTICAL_EXAGGERATION',
+  payload: m
+});
@@ -86,6 +86,16 @@ const mouseEventReducer = (state = null, action) => {
   }
 };
 
+const groundElevationReducer = (state = null, action) => {
+  switch (action.type) {
+    case 'SET_GROUND_ELEVATION':
+      state = action.payload;
+      return state;
+    default:
+      return state;
+  }
+};
+
 const terrainVisibilityReducer = (state = true, action) => {
   switch (action.type) {
     case 'SET_TERRAIN_VISIBILITY':
@@ -136,6 +146,16 @@ const tidalHeightMultiplierReducer = (state = 1, action) => {
   }
 };
 
+const verticalExaggerationReducer = (state = 1, action) => {
+  switch (action.type) {
+    case 'SET_VERTICAL_EXAGGERATION':
+      state = action.payload;
+      return state;
+    default:
+      return state;
+  }
+};
+
 const rootReducer = combineReducers({
   meshMaxError: meshMaxErrorReducer,
   tesselator: tesselatorReducer,
@@ -145,11 +165,13 @@ const rootReducer = combineReducers({
   zoom: zoomReducer,
   texture: textureReducer,
   mouseEvent: mouseEventReducer,
+  groundElevation: groundElevationReducer,
   terrainVisibility: terrainVisibilityReducer,
   tidesVisibility: tidesVisibilityReducer,
   radarVisibility: radarVisibilityReducer,
   radarData: radarDataReducer,
-  tidalHeightMultiplier: tidalHeightMultiplierReducer
+  tidalHeightMultiplier: tidalHeightMultiplierReducer,
+  verticalExaggeration: verticalExaggerationReducer
 });
 
 export default rootReducer;
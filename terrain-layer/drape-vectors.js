@@ -0,0 +1,115 @@
+import SnapFeatures from '@kylebarron/snap-to-tin';
+
+// Lines of a geometry, with the rings of polygons as closed lines
+function getGeometryLines({type, coordinates, geometries}) {
+  switch (type) {
+    case 'LineString':
+      return [coordinates];
+    case 'MultiLineString':
+    case 'Polygon':
+      return coordinates;
+    case 'MultiPolygon':
+      return [].concat(...coordinates);
+    case 'GeometryCollection':
+      return [].concat(...geometries.map(getGeometryLines));
+    default:
+      // Points are not draped
+      return [];
+  }
+}
+
+/**
+ * Lines of GeoJSON features to drape onto terrain meshes
+ *
+ * @param {object | object[]} vectorData GeoJSON FeatureCollection, or array of features
+ * @param {(position: number[]) => number[]} [project] maps positions to the coordinates of the
+ *   meshes, e.g. to the common space of tiled meshes
+ * @returns {{coordinates: number[][], properties: object}[]} one per line or polygon ring
+ */
+export function getVectorLines(vectorData, project) {
+  const features = Array.isArray(vectorData) ? vectorData : vectorData.features;
+  const lines = [];
+  for (const {geometry, properties} of features) {
+    if (geometry) {
+      for (const line of getGeometryLines(geometry)) {
+        lines.push({coordinates: project ? line.map(project) : line, properties});
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Snap lines to the triangles of a mesh. Vertices are added where the lines cross triangle
+ * edges, so that the paths follow the surface instead of cutting through it.
+ *
+ * @param {object} mesh mesh object from TerrainLoader or QuantizedMeshLoader
+ * @param {{coordinates: number[][], properties: object}[]} lines from getVectorLines
+ * @returns {{path: number[][], properties: object}[]} 3D paths clipped to the mesh
+ */
+export function drapeLines(mesh, lines) {
+  const positions = mesh.attributes.POSITION.value;
+  const [min, max] = mesh.header.boundingBox;
+  const snap = new SnapFeatures({
+    indices: getSurfaceIndices(mesh),
+    positions,
+    bounds: [min[0], min[1], max[0], max[1]]
+  });
+
+  // SnapFeatures rewrites the geometry of the features it is given
+  const features = lines.map(({coordinates, properties}) => ({
+    type: 'Feature',
+    geometry: {type: 'LineString', coordinates},
+    properties
+  }));
+
+  const paths = [];
+  for (const {geometry, properties} of snap.snapFeatures({features})) {
+    // Lines leaving and entering the mesh are split
+    const snappedLines =
+      geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+    for (const line of snappedLines) {
+      const path = removeDuplicates(line);
+      if (path.length > 1) {
+        paths.push({path, properties});
+      }
+    }
+  }
+  return paths;
+}
+
+// Snapped lines repeat the vertices on triangle edges, in single precision, as typed arrays
+function removeDuplicates(line) {
+  const path = [];
+  for (const [x, y, z] of line) {
+    const last = path[path.length - 1];
+    if (
+      !last ||
+      Math.fround(last[0]) !== Math.fround(x) ||
+      Math.fround(last[1]) !== Math.fround(y)
+    ) {
+      path.push([x, y, z]);
+    }
+  }
+  return path;
+}
+
+// Triangles of the mesh without its skirts, which are vertical and have no elevation to snap to
+function getSurfaceIndices(mesh) {
+  const positions = mesh.attributes.POSITION.value;
+  const triangles = mesh.indices.value;
+  const indices = [];
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i] * 3;
+    const b = triangles[i + 1] * 3;
+    const c = triangles[i + 2] * 3;
+    const area =
+      (positions[b] - positions[a]) * (positions[c + 1] - positions[a + 1]) -
+      (positions[c] - positions[a]) * (positions[b + 1] - positions[a + 1]);
+    if (area !== 0) {
+      indices.push(triangles[i], triangles[i + 1], triangles[i + 2]);
+    }
+  }
+  return Uint32Array.from(indices);
+}
@@ -19,23 +19,41 @@
 // THE SOFTWARE.
 
 import {CompositeLayer, COORDINATE_SYSTEM, WebMercatorViewport} from '@deck.gl/core';
-import {SimpleMeshLayer} from '@deck.gl/mesh-layers';
-import {load} from '@loaders.gl/core';
-import {TerrainLoader} from '../terrain-loader/src/index';
+import {PathLayer, TextLayer} from '@deck.gl/layers';
+import {fetchFile, load, loadInBatches} from '@loaders.gl/core';
+import {
+  getElevationDecoder,
+  getMeshElevation,
+  getQuantizedMeshRequestHeaders,
+  getTileUrl,
+  isTileAvailable,
+  QuantizedMeshLoader,
+  TerrainLoader
+} from '../terrain-loader/src/index';
 import TileLayer from '../tile-layer/tile-layer';
-import {getURLFromTemplate, urlType} from '../tile-layer/utils';
-// import SnapFeatures from '@kylebarron/snap-to-tin';
+import {getURLFromTemplate, isURLTemplate, urlType} from '../tile-layer/utils';
+import {drapeLines, getVectorLines} from './drape-vectors';
+import TerrainMeshLayer from './terrain-mesh-layer';
+import TerrainWorkerPool from './terrain-worker-pool';
 
 const DUMMY_DATA = [1];
 
 const defaultProps = {
   ...TileLayer.defaultProps,
-  // Image url that encodes height data
+  // Image url that encodes height data, or url of a quantized-mesh tile
   elevationData: urlType,
+  // Quantized-mesh tileset from LayerJsonLoader, loaded in tiles instead of elevationData.
+  // Only EPSG:3857 tilesets match the tiles of TileLayer
+  tileset: {type: 'object', value: null, optional: true, compare: false},
+  // 'terrain' for images, 'quantized-mesh' for quantized-mesh tiles, from the url extension if null.
+  // Quantized-mesh tiles are meshed already, the tesselation props do not apply to them
+  elevationFormat: {type: 'string', value: null, optional: true},
   // Image url to use as texture
   texture: urlType,
   // Martini error tolerance in meters, smaller number -> more detailed mesh
   meshMaxError: {type: 'number', value: 4.0},
+  // Errors of the levels of detail loaded at once. meshMaxError then picks a level without reloading
+  meshMaxErrorLevels: {type: 'array', value: null, optional: true, compare: true},
   // Bounding box of the terrain image, [minX, minY, maxX, maxY] in world coordinates
   bounds: {
     type: 'array',
@@ -45,7 +63,10 @@ const defaultProps = {
   },
   // Color to use if texture is unavailable
   color: {type: 'color', value: [255, 255, 255]},
-  // Object to decode height data, from (r, g, b) to height in meters
+  // Color of the water in meshes with a water mask, e.g. quantized-mesh tiles. Off when null
+  waterColor: {type: 'color', value: null, optional: true},
+  // Object to decode height data, from (r, g, b) to height in meters.
+  // Also a preset name, e.g. 'terrarium', or a function (r, g, b, a) => height
   elevationDecoder: {
     type: 'object',
     value: {
@@ -55,12 +76,48 @@ const defaultProps = {
       offset: 0
     }
   },
-  // Supply url to local terrain worker bundle. Only required if running offline and cannot access CDN.
+  // Compute smooth vertex normals instead of relying on flat shading. Border normals of tiles
+  // are one-sided, neighbouring samples are not gathered
+  computeNormals: false,
+  // Skirt hiding cracks between tiles, in meters or {errorScale} as a multiple of meshMaxError
+  skirtHeight: {type: 'object', value: 0, compare: true},
+  // Cap on the mesh size for Delatin, {maxTriangles, maxVertices}
+  meshBudget: {type: 'object', value: null, optional: true, compare: true},
+  // Polylines the mesh follows, e.g. coastlines, as [lon, lat] positions. Compared by reference
+  breaklines: {type: 'array', value: null, optional: true, compare: false},
+  // Pixels between the vertices locked on tile borders, so Delatin tiles share the positions of
+  // their seams. Elevations may still differ, skirtHeight hides the steps
+  borderSpacing: {type: 'number', value: null, optional: true},
+  // Elevation marking missing data, and how to handle it: 'hole', 'fill-nearest' or 'clamp'
+  noDataValue: {type: 'number', value: null, optional: true},
+  noDataStrategy: 'fill-nearest',
+  // GeoJSON lines and polygons draped on the mesh, in the coordinates of the bounds, e.g. lon/lat.
+  // Points are skipped. Compared by reference
+  vectorData: {type: 'object', value: null, optional: true, compare: false},
+  // Color and width in pixels of the draped vectors
+  vectorColor: {type: 'color', value: [0, 0, 0]},
+  vectorWidth: {type: 'number', value: 1, min: 0},
+  // Contour lines of the elevation image, {interval, indexInterval} in meters, off when null.
+  // Index contours are thicker and labelled. Not supported with quantized-mesh tiles
+  contours: {type: 'object', value: null, optional: true, compare: true},
+  // Color and width in pixels of the contours
+  contourColor: {type: 'color', value: [255, 255, 255]},
+  contourWidth: {type: 'number', value: 1, min: 0},
+  // Multiplier of the elevation at render time. Picked coordinates stay in true meters
+  verticalExaggeration: {type: 'number', value: 1, min: 0},
+  // Build meshes off the main thread. Function elevationDecoders always run on the main thread
+  worker: true,
+  // Show a coarse Delatin mesh at once and refine it over the next frames, on the main thread.
+  // Not supported with tiled elevationData, meshMaxErrorLevels are ignored
+  progressive: false,
+  // Url of a terrain worker bundle, instead of the one built with the app
   workerUrl: {type: 'string', value: null},
   // Same as SimpleMeshLayer wireframe
   wireframe: false,
   material: true,
   tesselator: 'auto',
+  // Fit images of any size into the Martini grid: 'pad', 'resample' or null to use Delatin
+  martiniFit: null,
   loaders: [TerrainLoader]
 };
 
@@ -72,32 +129,261 @@ function urlTemplateToUpdateTrigger(template) {
   return template;
 }
 
+const workerPools = {};
+
+// One pool per worker bundle, shared by all terrain layers
+function getWorkerPool(workerUrl) {
+  const key = workerUrl || 'default';
+  if (!workerPools[key]) {
+    workerPools[key] = new TerrainWorkerPool({
+      createWorker: workerUrl
+        ? () => new Worker(workerUrl)
+        : // Picked up and bundled by webpack
+          () =>
+            new Worker(new URL('../terrain-loader/src/workers/terrain-worker.js', import.meta.url))
+    });
+  }
+  return workerPools[key];
+}
+
+// Loader options from the layer props
+function getLoadOptions({
+  bounds,
+  cartographicBounds,
+  elevationDecoder,
+  meshMaxError,
+  meshMaxErrorLevels,
+  progressive,
+  tesselator,
+  martiniFit,
+  computeNormals,
+  skirtHeight,
+  meshBudget,
+  breaklines,
+  borderSpacing,
+  noDataValue,
+  noDataStrategy,
+  contours
+}) {
+  return {
+    terrain: {
+      ...TerrainLoader.options.terrain,
+      bounds,
+      // Tiled bounds are in common space, the pixel size in meters is found in longitude/latitude
+      cartographicBounds,
+      // Levels of detail are not refined progressively
+      meshMaxError: (!progressive && meshMaxErrorLevels) || meshMaxError,
+      // Presets are resolved here, workers only know the built-in ones
+      elevationDecoder: getElevationDecoder(elevationDecoder),
+      tesselator,
+      martiniFit,
+      computeNormals,
+      skirtHeight,
+      meshBudget,
+      breaklines,
+      borderSpacing,
+      noDataValue,
+      noDataStrategy,
+      contours,
+      // Kept for getElevation
+      heightMap: true
+    }
+  };
+}
+
+// Quantized-mesh loader options from the layer props
+function getQuantizedMeshLoadOptions({
+  bounds,
+  cartographicBounds,
+  computeNormals,
+  skirtHeight,
+  waterColor
+}) {
+  return {
+    'quantized-mesh': {
+      ...QuantizedMeshLoader.options['quantized-mesh'],
+      bounds,
+      // Tiled bounds are in common space, normals are turned to east-north-up in longitude/latitude
+      cartographicBounds,
+      // Normals come from the vertex normals extension of the tiles
+      vertexNormals: computeNormals,
+      waterMask: Boolean(waterColor),
+      // Tiles have no error bound to scale the skirt with
+      skirtHeight: Number.isFinite(skirtHeight) ? skirtHeight : 0
+    }
+  };
+}
+
+// Format of the elevation data, from elevationFormat or else the extension of its url
+function getElevationFormat(elevationData, elevationFormat) {
+  if (elevationFormat) {
+    return elevationFormat;
+  }
+  const path = elevationData.split(/[?#]/)[0];
+  return path.endsWith('.terrain') ? 'quantized-mesh' : 'terrain';
+}
+
+// Quantized-mesh texture coordinates and water mask rows start from the south. Flip them to start
+// from the north like the meshes of TerrainLoader, so that texture images are draped the same way
+function flipTextureRows(mesh) {
+  const texCoords = mesh.attributes.TEXCOORD_0.value;
+  for (let i = 1; i < texCoords.length; i += 2) {
+    texCoords[i] = 1 - texCoords[i];
+  }
+
+  if (mesh.waterMask) {
+    const {data, width, height} = mesh.waterMask;
+    const flipped = new Uint8Array(data.length);
+    for (let y = 0; y < height; y++) {
+      flipped.set(data.subarray(y * width, (y + 1) * width), (height - 1 - y) * width);
+    }
+    mesh.waterMask = {data: flipped, width, height};
+  }
+  return mesh;
+}
+
+// Bounding volume of a loaded tile, from the header of quantized-mesh tiles
+function getTileBoundingVolume(tile) {
+  const mesh = tile.content && tile.content[0];
+  return mesh && mesh.header && mesh.header.boundingSphere ? mesh.header : null;
+}
+
+const drapedPaths = new WeakMap();
+
+// Paths of lines snapped to a mesh, kept with the mesh and the lines
+function getDrapedPaths(mesh, lines) {
+  if (!drapedPaths.has(mesh)) {
+    drapedPaths.set(mesh, new WeakMap());
+  }
+  const meshPaths = drapedPaths.get(mesh);
+  if (!meshPaths.has(lines)) {
+    meshPaths.set(lines, drapeLines(mesh, lines));
+  }
+  return meshPaths.get(lines);
+}
+
+const contourLines = new WeakMap();
+
+// Contours of the loader as lines to drape, shared by the levels of detail of a terrain
+function getContourLines(contours) {
+  if (!contourLines.has(contours)) {
+    contourLines.set(
+      contours,
+      contours.map(({elevation, isIndex, path}) => ({
+        coordinates: path,
+        properties: {elevation, isIndex}
+      }))
+    );
+  }
+  return contourLines.get(contours);
+}
+
+const contourLabels = new WeakMap();
+
+// Index contours are labelled with their elevation, halfway along each draped path
+function getContourLabels(paths) {
+  if (!contourLabels.has(paths)) {
+    contourLabels.set(
+      paths,
+      paths
+        .filter(({properties}) => properties.isIndex)
+        .map(({path, properties}) => ({
+          position: path[Math.floor(path.length / 2)],
+          text: String(Number(properties.elevation.toFixed(2)))
+        }))
+    );
+  }
+  return contourLabels.get(paths);
+}
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(resolve));
+}
+
+// Compares plain loader options, which may be recreated as new objects on every render
+function isSameOption(value1, value2) {
+  return value1 === value2 || JSON.stringify(value1) === JSON.stringify(value2);
+}
+
+// Coarsest level of detail within meshMaxError, or the finest level if none is
+function getLevelOfDetail(terrain, meshMaxError) {
+  if (!terrain || !terrain.lods) {
+    return terrain;
+  }
+  const getError = (lod) => lod.loaderData.header.meshMaxError;
+  const levels = terrain.lods.slice().sort((lod1, lod2) => getError(lod2) - getError(lod1));
+  return levels.find((lod) => getError(lod) <= meshMaxError) || levels[levels.length - 1];
+}
+
 /**
  * state: {
  *   isTiled: True renders TileLayer of many SimpleMeshLayers, false renders one SimpleMeshLayer
- *   terrain: Mesh object. Only defined when isTiled is false.
+ *   terrain: Mesh object, with all levels of detail. Only defined when isTiled is false.
+ *   mesh: Level of detail of terrain to render.
+ *   loadedMesh: The mesh once loaded, to query and drape vectors on.
+ *   vectorLines: Lines of vectorData, in the coordinates of the meshes.
+ *   abortController: Cancels the pending load of terrain.
  * }
  */
 export default class TerrainLayer extends CompositeLayer {
   async updateState({props, oldProps}) {
-    const elevationDataChanged = props.elevationData !== oldProps.elevationData;
+    const elevationDataChanged =
+      props.elevationData !== oldProps.elevationData ||
+      props.elevationFormat !== oldProps.elevationFormat ||
+      props.tileset !== oldProps.tileset;
     if (elevationDataChanged) {
-      // const { elevationData } = props;
-      // const isTiled =
-      //   elevationData &&
-      //   (Array.isArray(elevationData) ||
-      //     (elevationData.includes('{x}') && elevationData.includes('{y}')));
-      const isTiled = false; // * hard code to false
-      this.setState({isTiled});
+      const {elevationData, tileset} = props;
+      if (tileset && tileset.projection !== 'EPSG:3857') {
+        // Geographic tiles do not line up with the Web Mercator tiles of TileLayer
+        this.raiseError(
+          new Error(`TerrainLayer tiles are Web Mercator, ${tileset.projection} is not supported`),
+          'loading terrain'
+        );
+      }
+      const isTiled = tileset
+        ? tileset.projection === 'EPSG:3857'
+        : elevationData && (Array.isArray(elevationData) || isURLTemplate(elevationData));
+      this.setState({
+        isTiled,
+        // Kept so that TileLayer does not reset its tiles on every render
+        isTilesetTileAvailable: tileset ? (tile) => isTileAvailable(tileset, tile) : null
+      });
     }
 
+    if (elevationDataChanged || props.vectorData !== oldProps.vectorData) {
+      const {vectorData} = props;
+      // Tiled meshes are in common space
+      const project = this.state.isTiled
+        ? (position) => this.context.viewport.projectFlat(position)
+        : null;
+      this.setState({vectorLines: vectorData ? getVectorLines(vectorData, project) : null});
+    }
+
+    const isQuantizedMesh =
+      typeof props.elevationData === 'string' &&
+      getElevationFormat(props.elevationData, props.elevationFormat) === 'quantized-mesh';
+
     // * Reloading for single terrain mesh
     const shouldReload =
       elevationDataChanged ||
-      props.meshMaxError !== oldProps.meshMaxError ||
+      ((props.progressive || !props.meshMaxErrorLevels) &&
+        props.meshMaxError !== oldProps.meshMaxError) ||
+      !isSameOption(props.meshMaxErrorLevels, oldProps.meshMaxErrorLevels) ||
+      props.progressive !== oldProps.progressive ||
       // props.elevationDecoder !== oldProps.elevationDecoder ||
       props.bounds !== oldProps.bounds ||
-      props.tesselator !== oldProps.tesselator;
+      props.tesselator !== oldProps.tesselator ||
+      props.martiniFit !== oldProps.martiniFit ||
+      props.computeNormals !== oldProps.computeNormals ||
+      props.noDataValue !== oldProps.noDataValue ||
+      props.noDataStrategy !== oldProps.noDataStrategy ||
+      !isSameOption(props.skirtHeight, oldProps.skirtHeight) ||
+      !isSameOption(props.meshBudget, oldProps.meshBudget) ||
+      props.breaklines !== oldProps.breaklines ||
+      props.borderSpacing !== oldProps.borderSpacing ||
+      !isSameOption(props.contours, oldProps.contours) ||
+      // Quantized-mesh tiles only come with a water mask when it is requested
+      (isQuantizedMesh && Boolean(props.waterColor) !== Boolean(oldProps.waterColor));
 
     if (!this.state.isTiled && shouldReload && typeof props.elevationData == 'string') {
       const bbox = await Promise.resolve(props.bounds).then((res) => {
@@ -105,57 +391,200 @@ export default class TerrainLayer extends CompositeLayer {
       });
       props = {...props, bounds: bbox};
 
-      const terrain = this.loadTerrain(props);
+      // A newer load supersedes the pending one
+      if (this.state.abortController) {
+        this.state.abortController.abort();
+      }
+      const abortController = new AbortController();
+
+      // Quantized-mesh tiles are meshed already, there is nothing to refine
+      if (props.progressive && !isQuantizedMesh) {
+        this.setState({abortController});
+        this.loadTerrainInBatches({...props, signal: abortController.signal});
+      } else {
+        const terrain = this.loadTerrain({...props, signal: abortController.signal});
+        const mesh = terrain.then((result) => getLevelOfDetail(result, props.meshMaxError));
+
+        this.setState({terrain, mesh, abortController});
+        this._updateLoadedMesh();
+      }
+    } else if (props.meshMaxError !== oldProps.meshMaxError && this.state.terrain) {
+      // * Switching to another loaded level of detail
+      const mesh = this.state.terrain.then((result) =>
+        getLevelOfDetail(result, props.meshMaxError)
+      );
+      this.setState({mesh});
+      this._updateLoadedMesh();
+    }
+  }
+
+  /**
+   * Elevation of the loaded terrain at a position, interpolated on the elevation grid of
+   * the image, or on the mesh of quantized-mesh tiles
+   *
+   * @param {number[]} position [longitude, latitude], or [x, y] in the coordinates of the bounds
+   *   of a non-geospatial terrain
+   * @returns {number | null} elevation in meters, without verticalExaggeration. Null where no
+   *   terrain is loaded
+   */
+  getElevation([x, y]) {
+    const {meshMaxError} = this.props;
+    if (!this.state.isTiled) {
+      const {loadedMesh} = this.state;
+      return loadedMesh ? getMeshElevation(loadedMesh, [x, y]) : null;
+    }
+
+    const tileLayer = this.getSubLayers()[0];
+    if (!tileLayer || !tileLayer.state.tileset) {
+      return null;
+    }
+    // Tiled meshes are in common space
+    const position = this.context.viewport.projectFlat([x, y]);
+    const tiles = tileLayer.state.tileset.tiles
+      .filter(({isLoaded, content, bbox}) => {
+        const {west, south, east, north} = bbox;
+        return isLoaded && content && x >= west && x <= east && y >= south && y <= north;
+      })
+      // Finest tiles first
+      .sort((tile1, tile2) => tile2.z - tile1.z);
+
+    for (const tile of tiles) {
+      const mesh = getLevelOfDetail(tile.content[0], meshMaxError);
+      const elevation = mesh && getMeshElevation(mesh, position);
+      if (elevation !== null) {
+        return elevation;
+      }
+    }
+    return null;
+  }
+
+  // The mesh layer takes the mesh promise, getElevation and the draped vectors the mesh it
+  // resolves to
+  _updateLoadedMesh() {
+    const {mesh} = this.state;
+    Promise.resolve(mesh).then(
+      (result) => {
+        if (this.state.mesh === mesh) {
+          this.setState({loadedMesh: result});
+        }
+      },
+      // Reported by the mesh layer
+      () => {}
+    );
+  }
 
-      this.setState({terrain});
+  finalizeState() {
+    super.finalizeState();
+    // Tiles that went out of view stop loading
+    if (this.state.abortController) {
+      this.state.abortController.abort();
     }
   }
 
-  async loadTerrain({
-    elevationData,
-    bounds,
-    elevationDecoder,
-    meshMaxError,
-    workerUrl,
-    tesselator
-  }) {
+  async loadTerrain(props) {
+    const {elevationData, elevationFormat, worker, workerUrl, signal} = props;
     if (!elevationData) {
       return null;
     }
-    const options = {
-      terrain: {
-        bounds,
-        meshMaxError,
-        elevationDecoder,
-        tesselator
+    if (getElevationFormat(elevationData, elevationFormat) === 'quantized-mesh') {
+      return this.loadQuantizedMesh(props);
+    }
+    const options = getLoadOptions(props);
+
+    let terrain;
+    try {
+      if (
+        worker &&
+        typeof Worker !== 'undefined' &&
+        typeof options.terrain.elevationDecoder !== 'function'
+      ) {
+        const response = await fetchFile(elevationData, {signal, throws: true});
+        const arrayBuffer = await response.arrayBuffer();
+        terrain = await getWorkerPool(workerUrl).parse(arrayBuffer, options, {signal});
+      } else {
+        terrain = await load(elevationData, this.props.loaders, {...options, fetch: {signal}});
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return null;
       }
-    };
-    if (workerUrl) {
-      options.terrain.workerUrl = workerUrl;
+      throw error;
     }
-    const terrain = await load(elevationData, this.props.loaders, options);
-
-    // ! test snap-to-tin
-    // const snap = new SnapFeatures({
-    //   // triples of position indices that make up the faces of the terrain
-    //   indices: terrain.indices.value,
-    //   // x, y, z positions in space of each index
-    //   positions: terrain.attributes.POSITION.value,
-    //   // Optional bounding box to clip features to
-    //   bounds: [0, 0, 1, 1]
-    // });
-    // console.log(snap);
-    // ! end test
 
     return terrain;
   }
 
+  // Quantized-mesh tiles are decoded on the main thread, there is no tesselation to offload
+  async loadQuantizedMesh(props) {
+    const {elevationData, signal} = props;
+    const options = getQuantizedMeshLoadOptions(props);
+
+    let terrain;
+    try {
+      terrain = await load(elevationData, QuantizedMeshLoader, {
+        ...options,
+        // Terrain servers only send the extensions asked for in the Accept header
+        fetch: {signal, headers: getQuantizedMeshRequestHeaders(options)}
+      });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return null;
+      }
+      throw error;
+    }
+    return terrain && flipTextureRows(terrain);
+  }
+
+  // Shows the meshes of increasing detail as they are refined, one per frame
+  async loadTerrainInBatches(props) {
+    const {elevationData, signal} = props;
+    try {
+      const options = {...getLoadOptions(props), fetch: {signal}};
+      const batches = await loadInBatches(elevationData, this.props.loaders, options);
+      for await (const terrain of batches) {
+        if (signal.aborted) {
+          // Ends the refinement
+          break;
+        }
+        this.setState({terrain: Promise.resolve(terrain), mesh: terrain});
+        this._updateLoadedMesh();
+        await nextFrame();
+      }
+    } catch (error) {
+      if (!signal.aborted) {
+        this.raiseError(error, 'loading terrain');
+      }
+    }
+  }
+
   getTiledTerrainData(tile) {
-    const {elevationData, texture, elevationDecoder, meshMaxError, workerUrl} = this.props;
-    const dataUrl = getURLFromTemplate(elevationData, tile);
+    const {
+      tileset,
+      elevationData,
+      elevationFormat,
+      texture,
+      elevationDecoder,
+      meshMaxError,
+      meshMaxErrorLevels,
+      worker,
+      workerUrl,
+      martiniFit,
+      computeNormals,
+      skirtHeight,
+      meshBudget,
+      breaklines,
+      borderSpacing,
+      noDataValue,
+      noDataStrategy,
+      contours,
+      waterColor
+    } = this.props;
+    // Tileset rows are in its scheme, tms rows are counted from the south
+    const dataUrl = tileset ? getTileUrl(tileset, tile) : getURLFromTemplate(elevationData, tile);
     const textureUrl = getURLFromTemplate(texture, tile);
 
-    const {bbox, z} = tile;
+    // Aborted by Tile2DHeader.abort() when the tile is no longer needed
+    const {bbox, z, signal} = tile;
     const viewport = new WebMercatorViewport({
       longitude: (bbox.west + bbox.east) / 2,
       latitude: (bbox.north + bbox.south) / 2,
@@ -167,40 +596,129 @@ export default class TerrainLayer extends CompositeLayer {
 
     const terrain = this.loadTerrain({
       elevationData: dataUrl,
+      elevationFormat: tileset ? 'quantized-mesh' : elevationFormat,
       bounds,
+      cartographicBounds: [bbox.west, bbox.south, bbox.east, bbox.north],
       elevationDecoder,
       meshMaxError,
-      workerUrl
+      meshMaxErrorLevels,
+      worker,
+      workerUrl,
+      martiniFit,
+      computeNormals,
+      skirtHeight,
+      meshBudget,
+      breaklines,
+      borderSpacing,
+      noDataValue,
+      noDataStrategy,
+      contours,
+      waterColor,
+      signal
     });
 
     const surface = textureUrl
       ? // If surface image fails to load, the tile should still be displayed
-        load(textureUrl).catch(() => null)
+        load(textureUrl, {fetch: {signal}}).catch(() => null)
       : Promise.resolve(null);
 
     return Promise.all([terrain, surface]);
   }
 
   renderSubLayers(props) {
-    const SubLayerClass = this.getSubLayerClass('mesh', SimpleMeshLayer);
-    const {data, color} = props;
+    const SubLayerClass = this.getSubLayerClass('mesh', TerrainMeshLayer);
+    const {data, color, waterColor, meshMaxError, verticalExaggeration} = props;
 
     if (!data) {
       return null;
     }
 
-    const [mesh, texture] = data;
+    const [terrain, texture] = data;
+    const mesh = getLevelOfDetail(terrain, meshMaxError);
+
+    return [
+      new SubLayerClass(props, {
+        data: DUMMY_DATA,
+        mesh,
+        texture,
+        coordinateSystem: COORDINATE_SYSTEM.CARTESIAN,
+        getPosition: [0, 0, 0],
+        getColor: color,
+        waterColor,
+        verticalExaggeration
+      }),
+      this.renderVectorLayer(mesh, {
+        ...props,
+        id: `${props.id}-vectors`,
+        coordinateSystem: COORDINATE_SYSTEM.CARTESIAN
+      }),
+      this.renderContourLayers(mesh, {
+        ...props,
+        id: `${props.id}-contours`,
+        coordinateSystem: COORDINATE_SYSTEM.CARTESIAN
+      })
+    ];
+  }
+
+  // Vectors draped on a mesh. They are drawn after the mesh, so the polygon offset of deck.gl,
+  // which grows with the layer index, keeps them in front of its surface under the depth test
+  renderVectorLayer(mesh, props) {
+    const {vectorLines, vectorColor, vectorWidth, verticalExaggeration} = props;
+    if (!mesh || !vectorLines) {
+      return null;
+    }
 
+    const SubLayerClass = this.getSubLayerClass('vectors', PathLayer);
     return new SubLayerClass(props, {
-      data: DUMMY_DATA,
-      mesh,
-      texture,
-      coordinateSystem: COORDINATE_SYSTEM.CARTESIAN,
-      getPosition: [0, 0, 0],
-      getColor: color
+      data: getDrapedPaths(mesh, vectorLines),
+      getPath: (d) => d.path.map(([x, y, z]) => [x, y, z * verticalExaggeration]),
+      getColor: vectorColor,
+      getWidth: vectorWidth,
+      widthUnits: 'pixels',
+      updateTriggers: {
+        getPath: verticalExaggeration
+      }
     });
   }
 
+  // Contours draped on a mesh like the vectors, with labels drawn after them
+  renderContourLayers(mesh, props) {
+    const {contourColor, contourWidth, verticalExaggeration} = props;
+    if (!mesh || !mesh.contours) {
+      return null;
+    }
+
+    const paths = getDrapedPaths(mesh, getContourLines(mesh.contours));
+    const exaggerate = ([x, y, z]) => [x, y, z * verticalExaggeration];
+    const PathLayerClass = this.getSubLayerClass('contours', PathLayer);
+    const TextLayerClass = this.getSubLayerClass('contour-labels', TextLayer);
+
+    return [
+      new PathLayerClass(props, {
+        data: paths,
+        getPath: (d) => d.path.map(exaggerate),
+        getColor: contourColor,
+        getWidth: (d) => (d.properties.isIndex ? contourWidth * 2 : contourWidth),
+        widthUnits: 'pixels',
+        updateTriggers: {
+          getPath: verticalExaggeration,
+          getWidth: contourWidth
+        }
+      }),
+      new TextLayerClass(props, {
+        id: `${props.id}-labels`,
+        data: getContourLabels(paths),
+        getPosition: (d) => exaggerate(d.position),
+        getText: (d) => d.text,
+        getColor: contourColor,
+        getSize: 12,
+        updateTriggers: {
+          getPosition: verticalExaggeration
+        }
+      })
+    ];
+  }
+
   // Update zRange of viewport
   onViewportLoad(tiles) {
     if (!tiles) {
@@ -226,19 +744,49 @@ export default class TerrainLayer extends CompositeLayer {
     }
   }
 
+  // Report the elevation of the picked point in meters, without the vertical exaggeration
+  getPickingInfo(params) {
+    const info = super.getPickingInfo(params);
+    const {verticalExaggeration} = this.props;
+    const {coordinate} = info;
+    if (coordinate && coordinate.length > 2 && verticalExaggeration > 0) {
+      info.coordinate = [coordinate[0], coordinate[1], coordinate[2] / verticalExaggeration];
+    }
+    return info;
+  }
+
   renderLayers() {
     const {
       color,
+      waterColor,
       material,
+      tileset,
       elevationData,
+      elevationFormat,
       texture,
       wireframe,
       meshMaxError,
+      meshMaxErrorLevels,
+      verticalExaggeration,
+      vectorColor,
+      vectorWidth,
+      contours,
+      contourColor,
+      contourWidth,
       elevationDecoder,
+      martiniFit,
+      computeNormals,
+      skirtHeight,
+      meshBudget,
+      breaklines,
+      borderSpacing,
+      noDataValue,
+      noDataStrategy,
       tileSize,
       maxZoom,
       minZoom,
       extent,
+      isTileAvailable,
       maxRequests,
       onTileLoad,
       onTileUnload,
@@ -257,23 +805,48 @@ export default class TerrainLayer extends CompositeLayer {
         {
           wireframe,
           color,
+          waterColor,
           material,
+          meshMaxError,
+          verticalExaggeration,
+          vectorLines: this.state.vectorLines,
+          vectorColor,
+          vectorWidth,
+          contourColor,
+          contourWidth,
           getTileData: this.getTiledTerrainData.bind(this),
           renderSubLayers: this.renderSubLayers.bind(this),
           updateTriggers: {
             getTileData: {
               elevationData: urlTemplateToUpdateTrigger(elevationData),
+              tileset,
+              elevationFormat,
               texture: urlTemplateToUpdateTrigger(texture),
-              meshMaxError,
-              elevationDecoder
+              // Levels of detail are all loaded, meshMaxError only picks one
+              meshMaxError: meshMaxErrorLevels ? meshMaxErrorLevels.join(';') : meshMaxError,
+              elevationDecoder,
+              martiniFit,
+              computeNormals,
+              skirtHeight,
+              meshBudget,
+              breaklines,
+              borderSpacing,
+              noDataValue,
+              noDataStrategy,
+              contours,
+              // Quantized-mesh tiles only come with a water mask when it is requested
+              waterMask: Boolean(waterColor)
             }
           },
           onViewportLoad: this.onViewportLoad.bind(this),
-          zRange: this.state.zRange || null,
+          zRange: this.state.zRange ? this.state.zRange.map((z) => z * verticalExaggeration) : null,
           tileSize,
           maxZoom,
           minZoom,
           extent,
+          // Defaults to the availability of tileset
+          isTileAvailable: isTileAvailable || this.state.isTilesetTileAvailable,
+          getTileBoundingVolume,
           maxRequests,
           onTileLoad,
           onTileUnload,
@@ -286,22 +859,43 @@ export default class TerrainLayer extends CompositeLayer {
       );
     }
 
-    const SubLayerClass = this.getSubLayerClass('mesh', SimpleMeshLayer);
-    return new SubLayerClass(
-      this.getSubLayerProps({
-        id: 'mesh'
+    const SubLayerClass = this.getSubLayerClass('mesh', TerrainMeshLayer);
+    return [
+      new SubLayerClass(
+        this.getSubLayerProps({
+          id: 'mesh'
+        }),
+        {
+          data: DUMMY_DATA,
+          mesh: this.state.mesh,
+          texture,
+          _instanced: false,
+          getPosition: [0, 0, 0],
+          getColor: color,
+          waterColor,
+          material,
+          wireframe,
+          verticalExaggeration
+        }
+      ),
+      this.renderVectorLayer(this.state.loadedMesh, {
+        ...this.getSubLayerProps({
+          id: 'vectors'
+        }),
+        vectorLines: this.state.vectorLines,
+        vectorColor,
+        vectorWidth,
+        verticalExaggeration
       }),
-      {
-        data: DUMMY_DATA,
-        mesh: this.state.terrain,
-        texture,
-        _instanced: false,
-        getPosition: [0, 0, 0],
-        getColor: color,
-        material,
-        wireframe
-      }
-    );
+      this.renderContourLayers(this.state.loadedMesh, {
+        ...this.getSubLayerProps({
+          id: 'contours'
+        }),
+        contourColor,
+        contourWidth,
+        verticalExaggeration
+      })
+    ];
   }
 }
 
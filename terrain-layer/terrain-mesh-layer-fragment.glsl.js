@@ -0,0 +1,53 @@
+// Fragment shader of SimpleMeshLayer, with water pixels taking the water colour
+export default `#version 300 es
+#define SHADER_NAME terrain-mesh-layer-fs
+
+precision highp float;
+
+uniform bool hasTexture;
+uniform sampler2D sampler;
+uniform bool flatShading;
+uniform float opacity;
+uniform bool hasWaterMask;
+uniform sampler2D waterMask;
+uniform vec4 waterColor;
+
+in vec2 vTexCoord;
+in vec3 cameraPosition;
+in vec3 normals_commonspace;
+in vec4 position_commonspace;
+in vec4 vColor;
+
+out vec4 fragColor;
+
+void main(void) {
+  geometry.uv = vTexCoord;
+
+  vec3 normal;
+  if (flatShading) {
+
+// NOTE(Tarek): This is necessary because
+// headless.gl reports the extension as
+// available but does not support it in
+// the shader.
+#ifdef DERIVATIVES_AVAILABLE
+    normal = normalize(cross(dFdx(position_commonspace.xyz), dFdy(position_commonspace.xyz)));
+#else
+    normal = vec3(0.0, 0.0, 1.0);
+#endif
+  } else {
+    normal = normals_commonspace;
+  }
+
+  vec4 color = hasTexture ? texture(sampler, vTexCoord) : vColor;
+  if (hasWaterMask) {
+    // Blended on the shore, where the mask is interpolated between land and water
+    float water = texture(waterMask, vTexCoord).r * waterColor.a;
+    color.rgb = mix(color.rgb, waterColor.rgb, water);
+  }
+  vec3 lightColor = lighting_getLightColor(color.rgb, cameraPosition, position_commonspace.xyz, normal);
+  fragColor = vec4(lightColor, color.a * opacity);
+
+  DECKGL_FILTER_COLOR(fragColor, geometry);
+}
+`;
@@ -0,0 +1,111 @@
+import {SimpleMeshLayer} from '@deck.gl/mesh-layers';
+import GL from '@luma.gl/constants';
+import {Texture2D} from '@luma.gl/core';
+import fs from './terrain-mesh-layer-fragment.glsl';
+
+const defaultProps = {
+  ...SimpleMeshLayer.defaultProps,
+  // Multiplier of the elevation, applied on the GPU so the mesh keeps its heights in meters
+  verticalExaggeration: {type: 'number', value: 1, min: 0},
+  // Colour of the water pixels of the mesh waterMask, its alpha blends it over the texture
+  waterColor: {type: 'color', value: null, optional: true}
+};
+
+/**
+ * SimpleMeshLayer with a vertical exaggeration uniform. The mesh z is scaled in the vertex
+ * shader, and the normals by the inverse of the scale to keep the lighting right.
+ *
+ * Meshes with a `waterMask` image, e.g. from quantized-mesh tiles, render their water pixels
+ * in `waterColor`, lit with the layer material.
+ */
+export default class TerrainMeshLayer extends SimpleMeshLayer {
+  getShaders() {
+    const shaders = super.getShaders();
+    return {
+      ...shaders,
+      fs,
+      inject: {
+        ...shaders.inject,
+        'vs:#decl': `
+uniform float verticalExaggeration;
+`,
+        'vs:DECKGL_FILTER_SIZE': `
+  size.z *= verticalExaggeration;
+`,
+        'vs:#main-end': `
+  normals_commonspace = project_normal(
+    instanceModelMatrix * (normals * vec3(1.0, 1.0, 1.0 / max(verticalExaggeration, 1e-6)))
+  );
+  geometry.normal = normals_commonspace;
+`
+      }
+    };
+  }
+
+  updateState(params) {
+    super.updateState(params);
+
+    const {props, oldProps} = params;
+    if (props.mesh !== oldProps.mesh) {
+      if (this.state.waterMask) {
+        this.state.waterMask.delete();
+      }
+      this.setState({waterMask: props.mesh && this.createWaterMask(props.mesh.waterMask)});
+    }
+  }
+
+  finalizeState() {
+    super.finalizeState();
+    if (this.state.waterMask) {
+      this.state.waterMask.delete();
+    }
+  }
+
+  draw(opts) {
+    const {verticalExaggeration, waterColor} = this.props;
+    const {waterMask, emptyTexture} = this.state;
+    const hasWaterMask = Boolean(waterMask && waterColor);
+
+    super.draw({
+      ...opts,
+      uniforms: {
+        ...opts.uniforms,
+        verticalExaggeration,
+        hasWaterMask,
+        waterMask: waterMask || emptyTexture,
+        waterColor: hasWaterMask ? getColorUniform(waterColor) : [0, 0, 0, 0]
+      }
+    });
+  }
+
+  // One channel texture of the mask, 255 for water
+  createWaterMask(waterMask) {
+    if (!waterMask) {
+      return null;
+    }
+    const {data, width, height} = waterMask;
+    return new Texture2D(this.context.gl, {
+      data,
+      width,
+      height,
+      format: GL.LUMINANCE,
+      type: GL.UNSIGNED_BYTE,
+      mipmaps: false,
+      parameters: {
+        [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+        [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+        [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+        [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+      },
+      // Rows are not padded to 4 bytes
+      pixelStore: {[GL.UNPACK_ALIGNMENT]: 1}
+    });
+  }
+}
+
+function getColorUniform([r, g, b, a = 255]) {
+  return [r / 255, g / 255, b / 255, a / 255];
+}
+
+TerrainMeshLayer.layerName = 'TerrainMeshLayer';
+TerrainMeshLayer.defaultProps = defaultProps;
@@ -0,0 +1,155 @@
+/* eslint-env browser */
+import {parse} from '@loaders.gl/core';
+import {ImageLoader} from '@loaders.gl/images';
+import {getTransferList} from '@loaders.gl/loader-utils';
+import {VERSION} from '../terrain-loader/src/lib/utils/version';
+
+/**
+ * Pool of terrain workers that can cancel their jobs.
+ *
+ * Workers speak the loaders.gl worker protocol of `createWorker`: images are sent back to the main
+ * thread to be decoded, the tesselation runs in the worker, and the typed arrays of the mesh are
+ * transferred, not copied. Aborting a running job terminates its worker, as Martini and Delatin
+ * cannot be interrupted.
+ */
+export default class TerrainWorkerPool {
+  /**
+   * @param {object} props
+   * @param {() => Worker} props.createWorker creates a terrain worker
+   * @param {number} [props.maxConcurrency] max number of workers running at once
+   */
+  constructor({createWorker, maxConcurrency = getDefaultConcurrency()}) {
+    this.createWorker = createWorker;
+    this.maxConcurrency = maxConcurrency;
+    this.idleWorkers = [];
+    this.queue = [];
+    this.runningCount = 0;
+  }
+
+  /**
+   * Parse terrain data in a worker
+   *
+   * @param {ArrayBuffer} arrayBuffer terrain image or GeoTIFF, transferred to the worker
+   * @param {object} options loader options, must be serializable
+   * @param {object} [context]
+   * @param {AbortSignal} [context.signal] aborts the job, queued or running
+   * @returns {Promise<object>} mesh object
+   */
+  parse(arrayBuffer, options, {signal} = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const job = {arrayBuffer, options, resolve, reject, signal, worker: null};
+      if (signal) {
+        job.onAbort = () => this._abort(job);
+        signal.addEventListener('abort', job.onAbort);
+      }
+      this.queue.push(job);
+      this._next();
+    });
+  }
+
+  destroy() {
+    for (const worker of this.idleWorkers) {
+      worker.terminate();
+    }
+    this.idleWorkers = [];
+  }
+
+  _next() {
+    while (this.queue.length > 0 && this.runningCount < this.maxConcurrency) {
+      this._run(this.queue.shift());
+    }
+  }
+
+  _run(job) {
+    const worker = this.idleWorkers.pop() || this.createWorker();
+    job.worker = worker;
+    this.runningCount++;
+
+    worker.onmessage = ({data}) => this._onMessage(job, data);
+    worker.onerror = (event) => {
+      // A worker that failed to load or threw outside of a job is not reused
+      worker.terminate();
+      this._finish(job, null);
+      job.reject(new Error(`Terrain worker error: ${event.message}`));
+    };
+
+    const {arrayBuffer, options} = job;
+    worker.postMessage(
+      {type: 'parse', source: `loaders.gl@${VERSION}`, arraybuffer: arrayBuffer, options},
+      [arrayBuffer]
+    );
+  }
+
+  _onMessage(job, data) {
+    const {worker} = job;
+    switch (data.type) {
+      case 'done':
+        this._finish(job, worker);
+        job.resolve(data.result);
+        break;
+
+      case 'error':
+        this._finish(job, worker);
+        job.reject(new Error(data.message));
+        break;
+
+      case 'parse':
+        // The worker asks the main thread to decode the image
+        parse(data.arraybuffer, ImageLoader, data.options)
+          .then((result) =>
+            worker.postMessage({type: 'parse-done', id: data.id, result}, getTransferList(result))
+          )
+          .catch((error) =>
+            worker.postMessage({type: 'parse-error', id: data.id, message: error.message})
+          );
+        break;
+
+      default:
+      // ignore, e.g. webpack dev server messages
+    }
+  }
+
+  _abort(job) {
+    const index = this.queue.indexOf(job);
+    if (index >= 0) {
+      this.queue.splice(index, 1);
+      this._finish(job, null);
+    } else if (job.worker) {
+      job.worker.terminate();
+      this._finish(job, null);
+    }
+    job.reject(createAbortError());
+  }
+
+  // Release the job, and its worker if it can run another one
+  _finish(job, reusableWorker) {
+    if (job.signal) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+    if (job.worker) {
+      job.worker.onmessage = null;
+      job.worker.onerror = null;
+      job.worker = null;
+      this.runningCount--;
+      if (reusableWorker) {
+        this.idleWorkers.push(reusableWorker);
+      }
+    }
+    this._next();
+  }
+}
+
+function getDefaultConcurrency() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+  // Leave a core to the main thread
+  return Math.max(cores - 1, 1);
+}
+
+function createAbortError() {
+  return new DOMException('Terrain worker job aborted', 'AbortError');
+}
@@ -1,2 +1,9 @@
 export {TerrainLoader, TerrainWorkerLoader} from './terrain-loader';
 export {QuantizedMeshLoader, QuantizedMeshWorkerLoader} from './quantized-mesh-loader';
+export {getQuantizedMeshRequestHeaders} from './lib/parse-quantized-mesh';
+export {LayerJsonLoader} from './layer-json-loader';
+export {getTileUrl, isTileAvailable} from './lib/parse-layer-json';
+export {QuantizedMeshWriter} from './quantized-mesh-writer';
+export {registerElevationDecoder, getElevationDecoder} from './lib/elevation-decoders';
+export {getMeshElevation} from './lib/helpers/sample-elevation';
+export {TerrainGLTFWriter} from './terrain-gltf-writer';
@@ -0,0 +1,25 @@
+/** @typedef {import('@loaders.gl/loader-utils').LoaderObject} LoaderObject */
+import parseLayerJson from './lib/parse-layer-json';
+import {VERSION} from './lib/utils/version';
+
+/**
+ * Loader for the layer.json descriptor of quantized-mesh tilesets
+ * @type {LoaderObject}
+ */
+export const LayerJsonLoader = {
+  name: 'Quantized Mesh layer.json',
+  id: 'layer-json',
+  module: 'terrain',
+  version: VERSION,
+  extensions: ['json'],
+  mimeTypes: ['application/json'],
+  text: true,
+  parseTextSync: parseLayerJson,
+  parse: async (arrayBuffer, options, context) =>
+    parseLayerJson(new TextDecoder().decode(arrayBuffer), options, context),
+  options: {
+    'layer-json': {
+      baseUrl: null
+    }
+  }
+};
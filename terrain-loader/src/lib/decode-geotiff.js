@@ -0,0 +1,67 @@
+import {fromArrayBuffer} from 'geotiff';
+
+// GTModelTypeGeoKey values of projected (e.g. meters) and geographic (longitude/latitude) rasters
+const MODEL_TYPE_PROJECTED = 1;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+
+/**
+ * Check the TIFF byte order mark and magic number, for both classic TIFF (42) and BigTIFF (43)
+ *
+ * @param {ArrayBuffer} arrayBuffer file contents
+ * @returns {boolean} true if the data is a TIFF file
+ */
+export function isGeoTiff(arrayBuffer) {
+  if (!arrayBuffer || arrayBuffer.byteLength < 4) {
+    return false;
+  }
+  const view = new DataView(arrayBuffer);
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    return false;
+  }
+  const magic = view.getUint16(2, byteOrder === 0x4949);
+  return magic === 42 || magic === 43;
+}
+
+/**
+ * Decode the first band of a GeoTIFF DEM into elevation values
+ *
+ * @param {ArrayBuffer} arrayBuffer GeoTIFF file contents
+ * @returns {Promise<object>} elevation raster: one value per pixel in `data`, with the
+ *   longitude/latitude `bounds` of geographic rasters, the `cellSize` in meters and the EPSG
+ *   code of the `projection` of projected rasters, and the `noDataValue` of the file
+ */
+export async function decodeGeoTiff(arrayBuffer) {
+  const tiff = await fromArrayBuffer(arrayBuffer);
+  const image = await tiff.getImage();
+  const [band] = await image.readRasters({samples: [0]});
+
+  const geoKeys = image.geoKeys || {};
+  let bounds = null;
+  let cellSize = null;
+  let projection = null;
+  try {
+    if (geoKeys.GTModelTypeGeoKey === MODEL_TYPE_GEOGRAPHIC) {
+      bounds = image.getBoundingBox();
+    } else if (geoKeys.GTModelTypeGeoKey === MODEL_TYPE_PROJECTED) {
+      // Projected rasters (e.g. HK1980 Grid) are in meters, their bounds are not reprojected
+      const [resolutionX, resolutionY] = image.getResolution();
+      cellSize = [Math.abs(resolutionX), Math.abs(resolutionY)];
+      // 32767 for user-defined projections
+      projection = geoKeys.ProjectedCSTypeGeoKey || 32767;
+    }
+  } catch (error) {
+    // Image has no affine transformation, keep pixel coordinates
+  }
+
+  return {
+    data: band instanceof Float32Array ? band : Float32Array.from(band),
+    width: image.getWidth(),
+    height: image.getHeight(),
+    bounds,
+    cellSize,
+    projection,
+    // GDAL_NODATA tag, null if absent
+    noDataValue: image.getGDALNoData()
+  };
+}
@@ -21,6 +21,9 @@ export default class Delatin {
 
     this._rmsSum = 0;
 
+    this._constraints = new Set(); // keys of constrained edges
+    this._lockedBorders = null; // borders refinement must not add vertices to
+
     const x1 = width - 1;
     const y1 = height - 1;
     const p0 = this._addPoint(0, 0);
@@ -34,13 +37,80 @@ export default class Delatin {
     this._flush();
   }
 
-  // refine the mesh until its maximum error gets below the given one
-  run(maxError = 1) {
-    while (this.getMaxError() > maxError) {
+  // refine the mesh until its maximum error gets below the given one,
+  // or until a point more would exceed the triangle or vertex budget
+  run(options = 1) {
+    const limits = getLimits(options);
+    while (this._shouldRefine(limits)) {
       this.refine();
     }
   }
 
+  // refine the mesh like run, pausing after every batch of inserted points and once done;
+  // the mesh is valid at every pause, and a later run resumes from it
+  *runIncremental(options = 1, pointsPerBatch = 1000) {
+    const limits = getLimits(options);
+    let points = 0;
+    while (this._shouldRefine(limits)) {
+      this.refine();
+      points++;
+      if (points % pointsPerBatch === 0) {
+        yield this;
+      }
+    }
+    if (points === 0 || points % pointsPerBatch !== 0) {
+      yield this;
+    }
+  }
+
+  // force vertices at [x, y] positions, rounded to the nearest sample
+  addPoints(points) {
+    for (const point of points) {
+      this._insertPoint(...this._snap(point));
+    }
+    this._flush();
+  }
+
+  // force the mesh to follow polylines of [x, y] positions, rounded to the nearest sample;
+  // constrained edges are never flipped, and stay constrained when a new point splits them
+  addConstraintEdges(polylines) {
+    for (const polyline of polylines) {
+      let previous = -1;
+      for (const point of polyline) {
+        const p = this._insertPoint(...this._snap(point));
+        if (previous >= 0 && previous !== p) {
+          this._addConstraintEdge(previous, p);
+        }
+        previous = p;
+      }
+    }
+    this._flush();
+  }
+
+  // fix the vertices of the borders given as {west, south, east, north} lists of positions along
+  // them, y for west and east, x for south and north; corners are always vertices. Refinement
+  // never adds vertices to the locked borders, so tiles locked with the same lists share them
+  lockBorders(borders) {
+    const x1 = this.width - 1;
+    const y1 = this.height - 1;
+    const toPoints = {
+      west: (y) => [0, y],
+      south: (x) => [x, y1],
+      east: (y) => [x1, y],
+      north: (x) => [x, 0]
+    };
+
+    this._lockedBorders = {};
+    for (const border in toPoints) {
+      if (borders[border]) {
+        this._lockedBorders[border] = true;
+        this.addPoints(borders[border].map(toPoints[border]));
+      }
+    }
+    // errors on the locked borders are ignored from now on
+    this._flushAll();
+  }
+
   // refine the mesh with a single point
   refine() {
     this._step();
@@ -62,6 +132,15 @@ export default class Delatin {
     return this.data[this.width * y + x];
   }
 
+  // whether to insert another point, a point adds up to two triangles
+  _shouldRefine({maxError, maxTriangles, maxVertices}) {
+    return (
+      this.getMaxError() > maxError &&
+      this.triangles.length / 3 + 2 <= maxTriangles &&
+      this.coords.length / 2 + 1 <= maxVertices
+    );
+  }
+
   // rasterize and queue all triangles that got added or updated in _step
   _flush() {
     const coords = this.coords;
@@ -142,7 +221,7 @@ export default class Delatin {
           const z = z0 * w0 + z1 * w1 + z2 * w2;
           const dz = Math.abs(z - this.heightAt(x, y));
           rms += dz * dz;
-          if (dz > maxError) {
+          if (dz > maxError && !this._isLocked(x, y)) {
             maxError = dz;
             mx = x;
             my = y;
@@ -178,7 +257,11 @@ export default class Delatin {
   _step() {
     // pop triangle with highest error from priority queue
     const t = this._queuePop();
+    this._splitTriangle(t, this._candidates[2 * t], this._candidates[2 * t + 1]);
+  }
 
+  // split a triangle with a new point inside it or on one of its edges
+  _splitTriangle(t, px, py) {
     const e0 = t * 3 + 0;
     const e1 = t * 3 + 1;
     const e2 = t * 3 + 2;
@@ -193,11 +276,8 @@ export default class Delatin {
     const by = this.coords[2 * p1 + 1];
     const cx = this.coords[2 * p2];
     const cy = this.coords[2 * p2 + 1];
-    const px = this._candidates[2 * t];
-    const py = this._candidates[2 * t + 1];
 
     const pn = this._addPoint(px, py);
-
     if (orient(ax, ay, bx, by, px, py) === 0) {
       this._handleCollinear(pn, e0);
     } else if (orient(bx, by, cx, cy, px, py) === 0) {
@@ -217,6 +297,205 @@ export default class Delatin {
       this._legalize(t1);
       this._legalize(t2);
     }
+
+    return pn;
+  }
+
+  // add a point unless there is a vertex at its position, returns the vertex
+  _insertPoint(x, y) {
+    const coords = this.coords;
+    for (let i = 0; i < coords.length; i += 2) {
+      if (coords[i] === x && coords[i + 1] === y) {
+        return i >> 1;
+      }
+    }
+    const t = this._findTriangle(x, y);
+    this._queueRemove(t);
+    return this._splitTriangle(t, x, y);
+  }
+
+  // triangle containing a point, on its edges included
+  _findTriangle(x, y) {
+    const coords = this.coords;
+    for (let e = 0; e < this.triangles.length; e += 3) {
+      const p0 = 2 * this.triangles[e];
+      const p1 = 2 * this.triangles[e + 1];
+      const p2 = 2 * this.triangles[e + 2];
+      if (
+        orient(coords[p1], coords[p1 + 1], coords[p2], coords[p2 + 1], x, y) >= 0 &&
+        orient(coords[p2], coords[p2 + 1], coords[p0], coords[p0 + 1], x, y) >= 0 &&
+        orient(coords[p0], coords[p0 + 1], coords[p1], coords[p1 + 1], x, y) >= 0
+      ) {
+        return e / 3;
+      }
+    }
+    throw new Error('Broken triangulation (something went wrong).');
+  }
+
+  // round a position to the nearest sample of the grid
+  _snap([x, y]) {
+    return [
+      Math.min(Math.max(Math.round(x), 0), this.width - 1),
+      Math.min(Math.max(Math.round(y), 0), this.height - 1)
+    ];
+  }
+
+  // make the segment between two vertices an edge of the mesh,
+  // by flipping the edges crossing it (Sloan, 1993)
+  _addConstraintEdge(a, b) {
+    // a vertex on the segment splits it in two
+    const c = this._findVertexOnSegment(a, b);
+    if (c >= 0) {
+      this._addConstraintEdge(a, c);
+      this._addConstraintEdge(c, b);
+      return;
+    }
+
+    const crossing = this._findCrossingEdges(a, b);
+
+    // crossing constraints are both split at the sample nearest to their intersection
+    const constrained = crossing.find(([p, q]) => this._isConstrained(p, q));
+    if (constrained) {
+      const [p, q] = constrained;
+      const x = this._insertPoint(...this._snap(this._intersect(a, b, p, q)));
+      if (x !== p && x !== q && this._isConstrained(p, q)) {
+        this._constraints.delete(this._edgeKey(p, q));
+        this._addConstraintEdge(p, x);
+        this._addConstraintEdge(x, q);
+      }
+      if (x !== a && x !== b) {
+        this._addConstraintEdge(a, x);
+        this._addConstraintEdge(x, b);
+      } else {
+        this._addConstraintEdge(a, b);
+      }
+      return;
+    }
+
+    const created = [];
+    while (crossing.length > 0) {
+      const [p, q] = crossing.shift();
+      const e = this._findHalfedge(p, q);
+      const p0 = this.triangles[e - (e % 3) + ((e + 2) % 3)];
+      const h = this._halfedges[e];
+      const p1 = this.triangles[h - (h % 3) + ((h + 2) % 3)];
+
+      if (this._segmentsCross(p0, p1, p, q)) {
+        // the two triangles form a convex quad, the flipped edge may still cross the segment
+        this._flip(e);
+        (this._segmentsCross(p0, p1, a, b) ? crossing : created).push([p0, p1]);
+      } else {
+        // not flippable yet, try again once its neighbours are flipped
+        crossing.push([p, q]);
+      }
+    }
+
+    this._constraints.add(this._edgeKey(a, b));
+
+    // restore the Delaunay condition around the segment
+    for (const [p, q] of created) {
+      this._legalize(this._findHalfedge(p, q));
+    }
+  }
+
+  // vertex lying on the segment between two vertices, the closest one to the first
+  _findVertexOnSegment(a, b) {
+    const coords = this.coords;
+    const [ax, ay, bx, by] = [coords[2 * a], coords[2 * a + 1], coords[2 * b], coords[2 * b + 1]];
+    const length = (bx - ax) * (bx - ax) + (by - ay) * (by - ay);
+    let closest = -1;
+    let closestDistance = Infinity;
+
+    for (let i = 0; i < coords.length; i += 2) {
+      const [x, y] = [coords[i], coords[i + 1]];
+      const distance = (x - ax) * (bx - ax) + (y - ay) * (by - ay);
+      if (
+        orient(ax, ay, bx, by, x, y) === 0 &&
+        distance > 0 &&
+        distance < length &&
+        distance < closestDistance
+      ) {
+        closest = i >> 1;
+        closestDistance = distance;
+      }
+    }
+    return closest;
+  }
+
+  // edges of the mesh crossing the segment between two vertices, as vertex pairs
+  _findCrossingEdges(a, b) {
+    const edges = [];
+    for (let e = 0; e < this.triangles.length; e++) {
+      if (this._halfedges[e] > e) {
+        const p = this.triangles[e];
+        const q = this.triangles[e - (e % 3) + ((e + 1) % 3)];
+        if (this._segmentsCross(p, q, a, b)) {
+          edges.push([p, q]);
+        }
+      }
+    }
+    return edges;
+  }
+
+  // halfedge going from one vertex to another
+  _findHalfedge(p, q) {
+    for (let e = 0; e < this.triangles.length; e++) {
+      if (this.triangles[e] === p && this.triangles[e - (e % 3) + ((e + 1) % 3)] === q) {
+        return e;
+      }
+    }
+    return -1;
+  }
+
+  // whether the segments between two pairs of vertices cross each other, endpoints excluded
+  _segmentsCross(p, q, a, b) {
+    const coords = this.coords;
+    const [px, py, qx, qy] = [coords[2 * p], coords[2 * p + 1], coords[2 * q], coords[2 * q + 1]];
+    const [ax, ay, bx, by] = [coords[2 * a], coords[2 * a + 1], coords[2 * b], coords[2 * b + 1]];
+    return (
+      orient(ax, ay, bx, by, px, py) * orient(ax, ay, bx, by, qx, qy) < 0 &&
+      orient(px, py, qx, qy, ax, ay) * orient(px, py, qx, qy, bx, by) < 0
+    );
+  }
+
+  // intersection of the lines through two pairs of vertices
+  _intersect(p, q, a, b) {
+    const coords = this.coords;
+    const [px, py, qx, qy] = [coords[2 * p], coords[2 * p + 1], coords[2 * q], coords[2 * q + 1]];
+    const [ax, ay, bx, by] = [coords[2 * a], coords[2 * a + 1], coords[2 * b], coords[2 * b + 1]];
+    const t =
+      orient(ax, ay, bx, by, px, py) /
+      (orient(ax, ay, bx, by, px, py) - orient(ax, ay, bx, by, qx, qy));
+    return [px + t * (qx - px), py + t * (qy - py)];
+  }
+
+  _edgeKey(p, q) {
+    return Math.min(p, q) * this.width * this.height + Math.max(p, q);
+  }
+
+  _isConstrained(p, q) {
+    return this._constraints.has(this._edgeKey(p, q));
+  }
+
+  // whether a position is on a locked border
+  _isLocked(x, y) {
+    const borders = this._lockedBorders;
+    return (
+      borders !== null &&
+      ((borders.west && x === 0) ||
+        (borders.south && y === this.height - 1) ||
+        (borders.east && x === this.width - 1) ||
+        (borders.north && y === 0))
+    );
+  }
+
+  // rasterize all triangles again
+  _flushAll() {
+    for (let t = 0; t < this.triangles.length / 3; t++) {
+      this._queueRemove(t);
+      this._pending[this._pendingLen++] = t;
+    }
+    this._flush();
   }
 
   // add coordinates for a new vertex
@@ -291,7 +570,6 @@ export default class Delatin {
     const al = a0 + ((a + 1) % 3);
     const ar = a0 + ((a + 2) % 3);
     const bl = b0 + ((b + 2) % 3);
-    const br = b0 + ((b + 1) % 3);
     const p0 = this.triangles[ar];
     const pr = this.triangles[a];
     const pl = this.triangles[al];
@@ -299,6 +577,7 @@ export default class Delatin {
     const coords = this.coords;
 
     if (
+      this._isConstrained(pr, pl) ||
       !inCircle(
         coords[2 * p0],
         coords[2 * p0 + 1],
@@ -313,6 +592,28 @@ export default class Delatin {
       return;
     }
 
+    const t0 = this._flip(a);
+    const t1 = this._halfedges[t0];
+
+    this._legalize(t0 + 1);
+    this._legalize(t1 + 2);
+  }
+
+  // replace the edge shared by two triangles with the other diagonal of their quad,
+  // returns the new [p0, p1, pl] triangle (see the diagram above)
+  _flip(a) {
+    const b = this._halfedges[a];
+    const a0 = a - (a % 3);
+    const b0 = b - (b % 3);
+    const al = a0 + ((a + 1) % 3);
+    const ar = a0 + ((a + 2) % 3);
+    const bl = b0 + ((b + 2) % 3);
+    const br = b0 + ((b + 1) % 3);
+    const p0 = this.triangles[ar];
+    const pr = this.triangles[a];
+    const pl = this.triangles[al];
+    const p1 = this.triangles[bl];
+
     const hal = this._halfedges[al];
     const har = this._halfedges[ar];
     const hbl = this._halfedges[bl];
@@ -322,10 +623,8 @@ export default class Delatin {
     this._queueRemove(b0 / 3);
 
     const t0 = this._addTriangle(p0, p1, pl, -1, hbl, hal, a0);
-    const t1 = this._addTriangle(p1, p0, pr, t0, har, hbr, b0);
-
-    this._legalize(t0 + 1);
-    this._legalize(t1 + 2);
+    this._addTriangle(p1, p0, pr, t0, har, hbr, b0);
+    return t0;
   }
 
   // handle a case where new vertex is on the edge of a triangle
@@ -341,6 +640,13 @@ export default class Delatin {
 
     const b = this._halfedges[a];
 
+    // the new vertex splits a constrained edge in two constrained edges
+    if (this._isConstrained(pr, pl)) {
+      this._constraints.delete(this._edgeKey(pr, pl));
+      this._constraints.add(this._edgeKey(pr, pn));
+      this._constraints.add(this._edgeKey(pn, pl));
+    }
+
     if (b < 0) {
       const t0 = this._addTriangle(pn, p0, pr, -1, har, -1, a0);
       const t1 = this._addTriangle(p0, pn, pl, t0, -1, hal);
@@ -484,3 +790,12 @@ function inCircle(ax, ay, bx, by, cx, cy, px, py) {
 
   return dx * (ey * cp - bp * fy) - dy * (ex * cp - bp * fx) + ap * (ex * fy - ey * fx) < 0;
 }
+
+function getLimits(options) {
+  const {
+    maxError = 1,
+    maxTriangles = Infinity,
+    maxVertices = Infinity
+  } = typeof options === 'number' ? {maxError: options} : options;
+  return {maxError, maxTriangles, maxVertices};
+}
@@ -0,0 +1,85 @@
+// Terrarium encoding, https://github.com/tilezen/joerd/blob/master/docs/formats.md#terrarium
+const TERRARIUM = {
+  rScaler: 256,
+  gScaler: 1,
+  bScaler: 1 / 256,
+  offset: -32768
+};
+
+const ELEVATION_DECODERS = {
+  // 8 bit grayscale, elevation in the red channel
+  grayscale: {
+    rScaler: 1,
+    gScaler: 0,
+    bScaler: 0,
+    offset: 0
+  },
+  // 16 bit grayscale, packed as high byte in red and low byte in green
+  grayscale16: {
+    rScaler: 256,
+    gScaler: 1,
+    bScaler: 0,
+    offset: 0
+  },
+  terrarium: TERRARIUM,
+  // https://docs.mapbox.com/help/troubleshooting/access-elevation-data/#decode-data
+  mapbox: {
+    rScaler: 256 * 256 * 0.1,
+    gScaler: 256 * 0.1,
+    bScaler: 0.1,
+    offset: -10000
+  },
+  // Hong Kong DSM tiles, generated with the Terrarium encoding
+  'hk-dsm': TERRARIUM
+};
+
+/**
+ * Register a named elevation decoder, usable as `terrain.elevationDecoder`
+ *
+ * Presets are registered per thread, register them before loading on the main thread.
+ *
+ * @param {string} name preset name
+ * @param {object | Function} elevationDecoder {rScaler, gScaler, bScaler, offset} object,
+ *   or a function (r, g, b, a) => elevation in meters for non-linear encodings
+ */
+export function registerElevationDecoder(name, elevationDecoder) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error('Elevation decoder preset name must be a non-empty string');
+  }
+  ELEVATION_DECODERS[name] = validateElevationDecoder(elevationDecoder);
+}
+
+/**
+ * Resolve the `terrain.elevationDecoder` option
+ *
+ * @param {string | object | Function} elevationDecoder preset name, object or function
+ * @returns {object | Function} {rScaler, gScaler, bScaler, offset} object, or decoding function
+ */
+export function getElevationDecoder(elevationDecoder) {
+  if (typeof elevationDecoder === 'string') {
+    if (!ELEVATION_DECODERS.hasOwnProperty(elevationDecoder)) {
+      throw new Error(
+        `Unknown elevationDecoder preset "${elevationDecoder}", expected one of: ${Object.keys(
+          ELEVATION_DECODERS
+        ).join(', ')}`
+      );
+    }
+    return ELEVATION_DECODERS[elevationDecoder];
+  }
+  return validateElevationDecoder(elevationDecoder);
+}
+
+function validateElevationDecoder(elevationDecoder) {
+  if (typeof elevationDecoder === 'function') {
+    return elevationDecoder;
+  }
+  if (!elevationDecoder || typeof elevationDecoder !== 'object') {
+    throw new Error('elevationDecoder must be a preset name, an object or a function');
+  }
+  for (const key of ['rScaler', 'gScaler', 'bScaler', 'offset']) {
+    if (!Number.isFinite(elevationDecoder[key])) {
+      throw new Error(`elevationDecoder.${key} must be a number`);
+    }
+  }
+  return elevationDecoder;
+}
@@ -0,0 +1,291 @@
+import {
+  cartographicToCartesian,
+  computeHorizonOcclusionPoint,
+  eastNorthUpToFixedFrame
+} from './helpers/ellipsoid';
+import {octEncode} from './helpers/oct-encoding';
+import {removeSkirtTriangles} from './helpers/skirt';
+
+// https://github.com/CesiumGS/quantized-mesh
+const QUANTIZED_RANGE = 32767;
+const HEADER_BYTE_LENGTH = 88;
+const EXTENSION_HEADER_BYTE_LENGTH = 5;
+
+export const EXTENSION_IDS = {
+  vertexNormals: 1,
+  waterMask: 2
+};
+
+function encodeZigZag(value) {
+  return ((value << 1) ^ (value >> 31)) & 0xffff;
+}
+
+/**
+ * Encode a terrain mesh into a quantized-mesh-1.0 tile
+ *
+ * @param {object} mesh mesh returned by the terrain loader, POSITION in longitude/latitude
+ *   degrees and meters. Skirts are not part of the format, consumers add them from the edge
+ *   indices, so the skirts of the mesh are dropped.
+ * @param {object} options
+ * @param {number[]} [options.bounds] [west, south, east, north] of the tile in degrees, the
+ *   extent of the positions if not supplied
+ * @param {boolean} [options.vertexNormals] write the NORMAL attribute with the oct-encoded
+ *   vertex normals extension
+ * @returns {ArrayBuffer} quantized mesh tile
+ */
+export default function encodeQuantizedMesh(mesh, options = {}) {
+  const {attributes} = mesh;
+  const bounds = options.bounds || getPositionsBounds(attributes.POSITION.value);
+  const surface = removeSkirtTriangles(attributes.POSITION.value, mesh.indices.value);
+  const {vertexMap, triangles} = getVertexOrder(attributes.POSITION.value.length / 3, surface);
+  const vertexCount = vertexMap.length;
+
+  const positions = [];
+  for (const vertex of vertexMap) {
+    positions.push(Array.from(attributes.POSITION.value.subarray(vertex * 3, vertex * 3 + 3)));
+  }
+
+  const header = getHeader(positions, bounds);
+  const vertexData = getQuantizedVertices(positions, bounds, header);
+  const edgeIndices = getEdgeIndices(vertexData, vertexCount);
+
+  const extensions = [];
+  if (options.vertexNormals && attributes.NORMAL) {
+    extensions.push({
+      id: EXTENSION_IDS.vertexNormals,
+      data: getOctEncodedNormals(attributes.NORMAL.value, vertexMap, positions)
+    });
+  }
+
+  const bytesPerIndex = vertexCount > 65536 ? 4 : 2;
+  let byteLength = HEADER_BYTE_LENGTH + 4 + vertexCount * 6;
+  byteLength += (bytesPerIndex - (byteLength % bytesPerIndex)) % bytesPerIndex;
+  byteLength += 4 + triangles.length * bytesPerIndex;
+  for (const indices of edgeIndices) {
+    byteLength += 4 + indices.length * bytesPerIndex;
+  }
+  for (const extension of extensions) {
+    byteLength += EXTENSION_HEADER_BYTE_LENGTH + extension.data.byteLength;
+  }
+
+  const arrayBuffer = new ArrayBuffer(byteLength);
+  const view = new DataView(arrayBuffer);
+  const setIndex = (bytesPerIndex === 4 ? view.setUint32 : view.setUint16).bind(view);
+
+  let position = encodeHeader(view, header);
+  position = encodeVertexData(view, position, vertexData, vertexCount);
+
+  position += (bytesPerIndex - (position % bytesPerIndex)) % bytesPerIndex;
+  view.setUint32(position, triangles.length / 3, true);
+  position += 4;
+  // High water mark encoding, vertices are ordered by first use
+  let highest = 0;
+  for (let i = 0; i < triangles.length; i++) {
+    const index = triangles[i];
+    setIndex(position, highest - index, true);
+    position += bytesPerIndex;
+    if (index === highest) {
+      highest++;
+    }
+  }
+
+  // West, south, east, north, not encoded
+  for (const indices of edgeIndices) {
+    view.setUint32(position, indices.length, true);
+    position += 4;
+    for (const index of indices) {
+      setIndex(position, index, true);
+      position += bytesPerIndex;
+    }
+  }
+
+  for (const {id, data} of extensions) {
+    view.setUint8(position, id);
+    view.setUint32(position + 1, data.byteLength, true);
+    position += EXTENSION_HEADER_BYTE_LENGTH;
+    new Uint8Array(arrayBuffer, position, data.byteLength).set(data);
+    position += data.byteLength;
+  }
+
+  return arrayBuffer;
+}
+
+// Drop unused vertices and sort the rest by first use in the triangles
+function getVertexOrder(vertexCount, indices) {
+  const newIndices = new Int32Array(vertexCount).fill(-1);
+  const vertexMap = [];
+  const triangles = new Uint32Array(indices.length);
+
+  for (let i = 0; i < indices.length; i++) {
+    const vertex = indices[i];
+    if (newIndices[vertex] < 0) {
+      newIndices[vertex] = vertexMap.length;
+      vertexMap.push(vertex);
+    }
+    triangles[i] = newIndices[vertex];
+  }
+
+  return {vertexMap, triangles};
+}
+
+function getPositionsBounds(positions) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    bounds[0] = Math.min(bounds[0], positions[i]);
+    bounds[1] = Math.min(bounds[1], positions[i + 1]);
+    bounds[2] = Math.max(bounds[2], positions[i]);
+    bounds[3] = Math.max(bounds[3], positions[i + 1]);
+  }
+  return bounds;
+}
+
+function getHeader(positions, bounds) {
+  let minHeight = Infinity;
+  let maxHeight = -Infinity;
+  for (const [, , height] of positions) {
+    minHeight = Math.min(minHeight, height);
+    maxHeight = Math.max(maxHeight, height);
+  }
+  // Heights are stored as 32 bit floats
+  minHeight = Math.fround(minHeight);
+  maxHeight = Math.fround(maxHeight);
+
+  const [west, south, east, north] = bounds;
+  const center = cartographicToCartesian([
+    (west + east) / 2,
+    (south + north) / 2,
+    (minHeight + maxHeight) / 2
+  ]);
+
+  // Sphere around the box of the Earth-centered positions
+  const cartesians = positions.map(cartographicToCartesian);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const cartesian of cartesians) {
+    for (let i = 0; i < 3; i++) {
+      min[i] = Math.min(min[i], cartesian[i]);
+      max[i] = Math.max(max[i], cartesian[i]);
+    }
+  }
+  const boundingSphereCenter = min.map((value, i) => (value + max[i]) / 2);
+  let boundingSphereRadius = 0;
+  for (const cartesian of cartesians) {
+    boundingSphereRadius = Math.max(
+      boundingSphereRadius,
+      Math.hypot(...cartesian.map((value, i) => value - boundingSphereCenter[i]))
+    );
+  }
+
+  const horizonOcclusionPoint = computeHorizonOcclusionPoint(boundingSphereCenter, cartesians) || [
+    0, 0, 0
+  ];
+
+  return {
+    center,
+    minHeight,
+    maxHeight,
+    boundingSphereCenter,
+    boundingSphereRadius,
+    horizonOcclusionPoint
+  };
+}
+
+function encodeHeader(view, header) {
+  const values = [
+    ...header.center,
+    header.minHeight,
+    header.maxHeight,
+    ...header.boundingSphereCenter,
+    header.boundingSphereRadius,
+    ...header.horizonOcclusionPoint
+  ];
+
+  let position = 0;
+  values.forEach((value, i) => {
+    // minHeight and maxHeight are 32 bit floats, everything else 64 bit
+    if (i === 3 || i === 4) {
+      view.setFloat32(position, value, true);
+      position += 4;
+    } else {
+      view.setFloat64(position, value, true);
+      position += 8;
+    }
+  });
+  return position;
+}
+
+// Not interleaved, all u, then all v, then all heights, in [0, 32767]
+function getQuantizedVertices(positions, bounds, {minHeight, maxHeight}) {
+  const [west, south, east, north] = bounds;
+  const vertexCount = positions.length;
+  const vertexData = new Uint16Array(vertexCount * 3);
+  const quantize = (value, min, max) =>
+    max > min ? Math.round(clamp((value - min) / (max - min), 0, 1) * QUANTIZED_RANGE) : 0;
+
+  positions.forEach(([x, y, z], i) => {
+    vertexData[i] = quantize(x, west, east);
+    vertexData[i + vertexCount] = quantize(y, south, north);
+    vertexData[i + vertexCount * 2] = quantize(z, minHeight, maxHeight);
+  });
+  return vertexData;
+}
+
+// Zig-zag encoded deltas
+function encodeVertexData(view, position, vertexData, vertexCount) {
+  view.setUint32(position, vertexCount, true);
+  position += 4;
+
+  for (let offset = 0; offset < vertexData.length; offset += vertexCount) {
+    let previous = 0;
+    for (let i = 0; i < vertexCount; i++) {
+      const value = vertexData[offset + i];
+      view.setUint16(position, encodeZigZag(value - previous), true);
+      position += 2;
+      previous = value;
+    }
+  }
+  return position;
+}
+
+// Vertices on the west, south, east and north edges, sorted along the edge
+function getEdgeIndices(vertexData, vertexCount) {
+  const u = (i) => vertexData[i];
+  const v = (i) => vertexData[i + vertexCount];
+
+  const west = [];
+  const south = [];
+  const east = [];
+  const north = [];
+  for (let i = 0; i < vertexCount; i++) {
+    if (u(i) === 0) west.push(i);
+    if (v(i) === 0) south.push(i);
+    if (u(i) === QUANTIZED_RANGE) east.push(i);
+    if (v(i) === QUANTIZED_RANGE) north.push(i);
+  }
+
+  west.sort((a, b) => v(a) - v(b));
+  south.sort((a, b) => u(a) - u(b));
+  east.sort((a, b) => v(a) - v(b));
+  north.sort((a, b) => u(a) - u(b));
+  return [west, south, east, north];
+}
+
+// Mesh normals are east-north-up, the extension expects Earth-centered, Earth-fixed normals
+function getOctEncodedNormals(normals, vertexMap, positions) {
+  const data = new Uint8Array(vertexMap.length * 2);
+  vertexMap.forEach((vertex, i) => {
+    const [x, y, z] = eastNorthUpToFixedFrame(
+      Array.from(normals.subarray(vertex * 3, vertex * 3 + 3)),
+      positions[i][0],
+      positions[i][1]
+    );
+    const [octX, octY] = octEncode(x, y, z);
+    data[i * 2] = octX;
+    data[i * 2 + 1] = octY;
+  });
+  return data;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
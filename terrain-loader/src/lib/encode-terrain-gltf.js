@@ -0,0 +1,223 @@
+import {
+  cartographicToCartesian,
+  eastNorthUpToFixedFrame,
+  fixedFrameToEastNorthUp
+} from './helpers/ellipsoid';
+
+const MAGIC_glTF = 0x46546c67; // glTF in ASCII, little endian
+const MAGIC_JSON = 0x4e4f534a; // JSON in ASCII, little endian
+const MAGIC_BIN = 0x004e4942; // BIN\0 in ASCII, little endian
+const GLB_VERSION = 2;
+const GLB_HEADER_LENGTH = 12;
+const GLB_CHUNK_HEADER_LENGTH = 8;
+
+const COMPONENT_TYPE = {
+  FLOAT: 5126,
+  UNSIGNED_INT: 5125
+};
+const TYPE_BY_SIZE = {1: 'SCALAR', 2: 'VEC2', 3: 'VEC3', 4: 'VEC4'};
+const TARGET = {
+  ARRAY_BUFFER: 34962,
+  ELEMENT_ARRAY_BUFFER: 34963
+};
+
+// Mesh attributes are z-up, glTF is y-up
+const Z_UP_TO_Y_UP = [-Math.SQRT1_2, 0, 0, Math.SQRT1_2];
+
+/**
+ * Encode a terrain mesh, as returned by the terrain and quantized mesh loaders, into a GLB file.
+ * With bounds, the longitude/latitude positions are written in meters, east-north-up about the
+ * center of the tile, so that x, y and z share a unit.
+ *
+ * @param {object} mesh mesh with POSITION, TEXCOORD_0 and optional NORMAL attributes, and indices
+ * @param {object} options
+ * @param {number[]} [options.bounds] longitude/latitude bounds of the tile, recorded in `extras`
+ * @param {string | object} [options.elevationDecoder] elevation decoder of the tile, recorded in `extras`
+ * @param {{data: ArrayBuffer | Uint8Array, mimeType: string}} [options.texture] encoded texture image
+ * @returns {ArrayBuffer} GLB file contents
+ */
+export default function encodeTerrainGLB(mesh, options = {}) {
+  const {indices} = mesh;
+  const {bounds, elevationDecoder, texture} = options;
+  const center = bounds ? [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, 0] : null;
+  const attributes = center ? getLocalAttributes(mesh.attributes, center) : mesh.attributes;
+
+  const binaryChunks = [];
+  let byteLength = 0;
+  const json = {
+    asset: {version: '2.0', generator: 'TerrainGLTFWriter'},
+    scene: 0,
+    scenes: [{nodes: [0]}],
+    nodes: [{mesh: 0, rotation: Z_UP_TO_Y_UP}],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: []
+  };
+
+  // Appends data to the binary chunk, 4 byte aligned, and returns its buffer view index
+  function addBufferView(data, target) {
+    const bytes = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+    binaryChunks.push(bytes);
+    json.bufferViews.push({
+      buffer: 0,
+      byteOffset: byteLength,
+      byteLength: bytes.byteLength,
+      ...(target && {target})
+    });
+    byteLength += padTo4Bytes(bytes.byteLength);
+    return json.bufferViews.length - 1;
+  }
+
+  function addAccessor(value, size, componentType, target) {
+    const TypedArray = componentType === COMPONENT_TYPE.FLOAT ? Float32Array : Uint32Array;
+    const data = value instanceof TypedArray ? value : TypedArray.from(value);
+    json.accessors.push({
+      bufferView: addBufferView(data, target),
+      componentType,
+      count: data.length / size,
+      type: TYPE_BY_SIZE[size],
+      ...getMinMax(data, size)
+    });
+    return json.accessors.length - 1;
+  }
+
+  const primitive = {attributes: {}, mode: mesh.mode === undefined ? 4 : mesh.mode, material: 0};
+  for (const name of ['POSITION', 'NORMAL', 'TEXCOORD_0']) {
+    const attribute = attributes[name];
+    if (attribute) {
+      const {value, size} = attribute;
+      primitive.attributes[name] = addAccessor(
+        value,
+        size,
+        COMPONENT_TYPE.FLOAT,
+        TARGET.ARRAY_BUFFER
+      );
+    }
+  }
+  if (indices) {
+    primitive.indices = addAccessor(
+      indices.value,
+      1,
+      COMPONENT_TYPE.UNSIGNED_INT,
+      TARGET.ELEMENT_ARRAY_BUFFER
+    );
+  }
+
+  const material = {
+    pbrMetallicRoughness: {metallicFactor: 0, roughnessFactor: 1},
+    doubleSided: true
+  };
+  if (texture) {
+    json.images = [{bufferView: addBufferView(texture.data), mimeType: texture.mimeType}];
+    json.samplers = [{wrapS: 33071, wrapT: 33071}]; // CLAMP_TO_EDGE
+    json.textures = [{source: 0, sampler: 0}];
+    material.pbrMetallicRoughness.baseColorTexture = {index: 0};
+  }
+  json.materials.push(material);
+
+  json.meshes.push({
+    primitives: [primitive],
+    extras: {
+      bounds: bounds || null,
+      // Origin of the east-north-up positions, [longitude, latitude, height]
+      center,
+      // Decoding functions can't be serialised
+      elevationDecoder: typeof elevationDecoder === 'function' ? null : elevationDecoder || null
+    }
+  });
+  json.buffers.push({byteLength});
+
+  return getGLB(json, binaryChunks, byteLength);
+}
+
+// Positions from longitude/latitude degrees to meters in the east-north-up frame of the center.
+// Normals are in the frame of their own vertex, and are turned to the one of the center
+function getLocalAttributes(attributes, center) {
+  const [longitude, latitude] = center;
+  const origin = cartographicToCartesian(center);
+  const {POSITION, NORMAL} = attributes;
+  const positions = POSITION.value;
+  const localPositions = new Float32Array(positions.length);
+  const localNormals = NORMAL && new Float32Array(NORMAL.value.length);
+
+  for (let i = 0; i < positions.length; i += 3) {
+    const position = [positions[i], positions[i + 1], positions[i + 2]];
+    const cartesian = cartographicToCartesian(position);
+    localPositions.set(
+      fixedFrameToEastNorthUp(
+        [cartesian[0] - origin[0], cartesian[1] - origin[1], cartesian[2] - origin[2]],
+        longitude,
+        latitude
+      ),
+      i
+    );
+    if (NORMAL) {
+      const normal = eastNorthUpToFixedFrame(
+        Array.from(NORMAL.value.subarray(i, i + 3)),
+        position[0],
+        position[1]
+      );
+      localNormals.set(fixedFrameToEastNorthUp(normal, longitude, latitude), i);
+    }
+  }
+
+  const localAttributes = {...attributes, POSITION: {...POSITION, value: localPositions}};
+  if (NORMAL) {
+    localAttributes.NORMAL = {...NORMAL, value: localNormals};
+  }
+  return localAttributes;
+}
+
+function getGLB(json, binaryChunks, binaryByteLength) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonByteLength = padTo4Bytes(jsonBytes.byteLength);
+
+  const byteLength =
+    GLB_HEADER_LENGTH + GLB_CHUNK_HEADER_LENGTH * 2 + jsonByteLength + binaryByteLength;
+  const arrayBuffer = new ArrayBuffer(byteLength);
+  const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+
+  view.setUint32(0, MAGIC_glTF, true);
+  view.setUint32(4, GLB_VERSION, true);
+  view.setUint32(8, byteLength, true);
+
+  let byteOffset = GLB_HEADER_LENGTH;
+  view.setUint32(byteOffset, jsonByteLength, true);
+  view.setUint32(byteOffset + 4, MAGIC_JSON, true);
+  byteOffset += GLB_CHUNK_HEADER_LENGTH;
+  bytes.set(jsonBytes, byteOffset);
+  // JSON chunk is padded with spaces
+  bytes.fill(0x20, byteOffset + jsonBytes.byteLength, byteOffset + jsonByteLength);
+  byteOffset += jsonByteLength;
+
+  view.setUint32(byteOffset, binaryByteLength, true);
+  view.setUint32(byteOffset + 4, MAGIC_BIN, true);
+  byteOffset += GLB_CHUNK_HEADER_LENGTH;
+  // Binary chunk is padded with zeros, which the new ArrayBuffer already holds
+  for (const chunk of binaryChunks) {
+    bytes.set(chunk, byteOffset);
+    byteOffset += padTo4Bytes(chunk.byteLength);
+  }
+
+  return arrayBuffer;
+}
+
+// glTF requires min and max for POSITION, and they are cheap for the rest
+function getMinMax(data, size) {
+  const min = new Array(size).fill(Infinity);
+  const max = new Array(size).fill(-Infinity);
+  for (let i = 0; i < data.length; i += size) {
+    for (let j = 0; j < size; j++) {
+      min[j] = Math.min(min[j], data[i + j]);
+      max[j] = Math.max(max[j], data[i + j]);
+    }
+  }
+  return data.length > 0 ? {min, max} : {};
+}
+
+function padTo4Bytes(byteLength) {
+  return (byteLength + 3) & ~3;
+}
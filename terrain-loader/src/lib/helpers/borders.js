@@ -0,0 +1,113 @@
+const BORDERS = ['west', 'south', 'east', 'north'];
+
+/**
+ * Positions of the vertices to lock on each border of the elevation grid, in pixels along it.
+ * Borders listed in borderVertices take these positions, the others one vertex every
+ * borderSpacing pixels, or are left free without borderSpacing.
+ *
+ * @param {number} borderSpacing pixels between the seeded vertices of a border
+ * @param {object} borderVertices {west, south, east, north} lists of positions along the borders,
+ *   y for west and east, x for south and north, in the coordinates of bounds
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @param {number[]} [bounds] [minX, minY, maxX, maxY] of the image, pixel coordinates if null
+ * @returns {object} {west, south, east, north} lists of pixel positions, null for free borders
+ */
+export function getBorderPixels(borderSpacing, borderVertices, width, height, bounds) {
+  const [minX, minY, maxX, maxY] = bounds || [0, 0, width, height];
+  const toPixels = {
+    west: (y) => ((maxY - y) * height) / (maxY - minY),
+    south: (x) => ((x - minX) * width) / (maxX - minX),
+    east: (y) => ((maxY - y) * height) / (maxY - minY),
+    north: (x) => ((x - minX) * width) / (maxX - minX)
+  };
+  const sizes = {west: height, south: width, east: height, north: width};
+
+  const borders = {};
+  for (const border of BORDERS) {
+    if (borderVertices && borderVertices[border]) {
+      borders[border] = borderVertices[border].map(toPixels[border]);
+    } else if (borderSpacing > 0) {
+      borders[border] = [];
+      for (let i = borderSpacing; i < sizes[border]; i += borderSpacing) {
+        borders[border].push(i);
+      }
+    } else {
+      borders[border] = null;
+    }
+  }
+  return borders;
+}
+
+/**
+ * Replace the samples on the borders of the elevation grid with those of the neighbouring tiles,
+ * in place. The last row and column are otherwise copies of the row and column before them, so
+ * neighbours sharing their border vertices would still disagree on their elevations.
+ *
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {object} borderElevations {west, south, east, north} samples along the borders, from
+ *   north to south for west and east, from west to east for south and north
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ */
+export function setBorderElevations(terrain, borderElevations, width, height) {
+  const gridSize = width + 1;
+  const borders = {
+    west: {start: 0, step: gridSize, length: height + 1},
+    south: {start: height * gridSize, step: 1, length: width + 1},
+    east: {start: width, step: gridSize, length: height + 1},
+    north: {start: 0, step: 1, length: width + 1}
+  };
+
+  for (const border of BORDERS) {
+    const elevations = borderElevations[border];
+    if (elevations) {
+      const {start, step, length} = borders[border];
+      if (elevations.length !== length) {
+        throw new Error(`borderElevations.${border} needs ${length} samples`);
+      }
+      for (let i = 0; i < length; i++) {
+        terrain[start + i * step] = elevations[i];
+      }
+    }
+  }
+}
+
+/**
+ * Indices of the vertices on each border of the mesh, like the edge indices of quantized-mesh.
+ * West and east run from south to north, south and north from west to east.
+ *
+ * @param {ArrayLike<number>} vertices vertex pixel coordinates, as x, y pairs
+ * @param {ArrayLike<number>} triangles triangle indices, vertices outside of them are left out
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @returns {{westIndices: Uint32Array, southIndices: Uint32Array, eastIndices: Uint32Array,
+ *   northIndices: Uint32Array}} vertex indices
+ */
+export function getEdgeIndices(vertices, triangles, width, height) {
+  const isUsed = new Uint8Array(vertices.length / 2);
+  for (let i = 0; i < triangles.length; i++) {
+    isUsed[triangles[i]] = 1;
+  }
+
+  const edges = {west: [], south: [], east: [], north: []};
+  for (let i = 0; i < isUsed.length; i++) {
+    const x = vertices[i * 2];
+    const y = vertices[i * 2 + 1];
+    if (isUsed[i]) {
+      if (x === 0) edges.west.push(i);
+      if (y === height) edges.south.push(i);
+      if (x === width) edges.east.push(i);
+      if (y === 0) edges.north.push(i);
+    }
+  }
+
+  const x = (i) => vertices[i * 2];
+  const y = (i) => vertices[i * 2 + 1];
+  return {
+    westIndices: Uint32Array.from(edges.west.sort((a, b) => y(b) - y(a))),
+    southIndices: Uint32Array.from(edges.south.sort((a, b) => x(a) - x(b))),
+    eastIndices: Uint32Array.from(edges.east.sort((a, b) => y(b) - y(a))),
+    northIndices: Uint32Array.from(edges.north.sort((a, b) => x(a) - x(b)))
+  };
+}
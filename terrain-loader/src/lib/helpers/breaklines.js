@@ -0,0 +1,77 @@
+/**
+ * Map breaklines to the pixel space of the elevation grid, keeping their parts inside it.
+ * A polyline leaving the grid is split in as many polylines as it has parts inside.
+ *
+ * @param {number[][][]} breaklines polylines of [x, y] positions, in the coordinates of bounds
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @param {number[]} [bounds] [minX, minY, maxX, maxY] of the image, pixel coordinates if null
+ * @returns {number[][][]} polylines of [x, y] pixel positions, in [0, width] x [0, height]
+ */
+export function getBreaklinePixels(breaklines, width, height, bounds) {
+  const [minX, minY, maxX, maxY] = bounds || [0, 0, width, height];
+  const xScale = (maxX - minX) / width;
+  const yScale = (maxY - minY) / height;
+  const toPixel = ([x, y]) => [(x - minX) / xScale, (maxY - y) / yScale];
+
+  const polylines = [];
+  for (const breakline of breaklines) {
+    let polyline = [];
+    for (let i = 1; i < breakline.length; i++) {
+      const segment = clipSegment(toPixel(breakline[i - 1]), toPixel(breakline[i]), width, height);
+      if (segment) {
+        const [start, end] = segment;
+        const last = polyline[polyline.length - 1];
+        if (!last || last[0] !== start[0] || last[1] !== start[1]) {
+          // the polyline came back inside, or starts here
+          if (polyline.length > 1) {
+            polylines.push(polyline);
+          }
+          polyline = [start];
+        }
+        polyline.push(end);
+      }
+    }
+    if (polyline.length > 1) {
+      polylines.push(polyline);
+    }
+  }
+  return polylines;
+}
+
+// Liang-Barsky clipping of a segment to [0, width] x [0, height], null if it is outside
+function clipSegment([x0, y0], [x1, y1], width, height) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  let t0 = 0;
+  let t1 = 1;
+
+  const edges = [
+    [-dx, x0],
+    [dx, width - x0],
+    [-dy, y0],
+    [dy, height - y0]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0) {
+        return null;
+      }
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        t0 = Math.max(t0, t);
+      } else {
+        t1 = Math.min(t1, t);
+      }
+    }
+  }
+  if (t0 > t1) {
+    return null;
+  }
+
+  return [
+    t0 > 0 ? [x0 + t0 * dx, y0 + t0 * dy] : [x0, y0],
+    t1 < 1 ? [x0 + t1 * dx, y0 + t1 * dy] : [x1, y1]
+  ];
+}
@@ -0,0 +1,205 @@
+// Edges crossed by a contour in a grid cell, for each combination of corners above the contour
+// level: top-left 8, top-right 4, bottom-right 2, bottom-left 1. Saddles, 5 and 10, depend on the
+// center of the cell and are resolved in getCellSegments
+const TOP = 0;
+const RIGHT = 1;
+const BOTTOM = 2;
+const LEFT = 3;
+const CELL_SEGMENTS = [
+  [],
+  [[LEFT, BOTTOM]],
+  [[BOTTOM, RIGHT]],
+  [[LEFT, RIGHT]],
+  [[TOP, RIGHT]],
+  null,
+  [[TOP, BOTTOM]],
+  [[LEFT, TOP]],
+  [[LEFT, TOP]],
+  [[TOP, BOTTOM]],
+  null,
+  [[TOP, RIGHT]],
+  [[LEFT, RIGHT]],
+  [[BOTTOM, RIGHT]],
+  [[LEFT, BOTTOM]],
+  []
+];
+
+/**
+ * Contour lines of the elevation grid, traced with marching squares
+ *
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {number} width width of the image
+ * @param {number} height height of the image
+ * @param {object} options
+ * @param {number} options.interval elevation between two contours, in meters
+ * @param {number} [options.indexInterval] elevation between two index contours, usually
+ *   labelled and drawn thicker. Every fifth contour if not set
+ * @param {number[]} [options.bounds] [minX, minY, maxX, maxY] of the image, in pixels if not set
+ * @param {Uint8Array} [options.noDataMask] samples whose cells have no contours
+ * @returns {{elevation: number, isIndex: boolean, path: number[][]}[]} lines of [x, y, elevation]
+ *   positions. Closed lines end on their first position
+ */
+export function getContours(terrain, width, height, options) {
+  const {interval, indexInterval = interval * 5, bounds, noDataMask} = options;
+  if (!(interval > 0)) {
+    throw new Error('contours.interval must be a positive number');
+  }
+
+  const gridSize = width + 1;
+  // Segments of each contour level, as links between the ids of the grid edges they cross
+  const levels = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * gridSize + x;
+      const corners = [i, i + 1, i + gridSize + 1, i + gridSize];
+      if (noDataMask && corners.some((corner) => noDataMask[corner])) {
+        continue;
+      }
+
+      const values = corners.map((corner) => terrain[corner]);
+      const first = Math.ceil(Math.min(...values) / interval);
+      const last = Math.floor(Math.max(...values) / interval);
+      for (let step = first; step <= last; step++) {
+        const level = step * interval;
+        if (!levels.has(level)) {
+          levels.set(level, new Map());
+        }
+        for (const [edge1, edge2] of getCellSegments(values, level)) {
+          link(
+            levels.get(level),
+            getEdgeId(x, y, gridSize, edge1),
+            getEdgeId(x, y, gridSize, edge2)
+          );
+        }
+      }
+    }
+  }
+
+  const [minX, minY, maxX, maxY] = bounds || [0, 0, width, height];
+  const xScale = (maxX - minX) / width;
+  const yScale = (maxY - minY) / height;
+
+  const contours = [];
+  for (const [level, links] of levels) {
+    // Elevations are multiples of the interval, up to floating point errors
+    const indexStep = level / indexInterval;
+    const isIndex = Math.abs(indexStep - Math.round(indexStep)) < 1e-6;
+
+    for (const edgeIds of getLines(links)) {
+      const path = [];
+      for (const edgeId of edgeIds) {
+        const [x, y] = getEdgeCrossing(terrain, gridSize, edgeId, level);
+        const position = [minX + x * xScale, maxY - y * yScale, level];
+        // Edges meeting at a sample on the level cross it at the same position
+        const last = path[path.length - 1];
+        if (!last || last[0] !== position[0] || last[1] !== position[1]) {
+          path.push(position);
+        }
+      }
+      if (path.length > 1) {
+        contours.push({elevation: level, isIndex, path});
+      }
+    }
+  }
+  return contours;
+}
+
+// Segments of a cell, as pairs of crossed edges
+function getCellSegments([topLeft, topRight, bottomRight, bottomLeft], level) {
+  const index =
+    (topLeft >= level ? 8 : 0) |
+    (topRight >= level ? 4 : 0) |
+    (bottomRight >= level ? 2 : 0) |
+    (bottomLeft >= level ? 1 : 0);
+  if (CELL_SEGMENTS[index]) {
+    return CELL_SEGMENTS[index];
+  }
+
+  // Saddles: corners above the level are joined through the center when it is above too
+  const isCenterAbove = (topLeft + topRight + bottomRight + bottomLeft) / 4 >= level;
+  if ((index === 5) === isCenterAbove) {
+    return [
+      [LEFT, TOP],
+      [BOTTOM, RIGHT]
+    ];
+  }
+  return [
+    [TOP, RIGHT],
+    [LEFT, BOTTOM]
+  ];
+}
+
+// Horizontal edges have even ids and vertical edges odd ids, from the sample they start at
+function getEdgeId(x, y, gridSize, edge) {
+  switch (edge) {
+    case TOP:
+      return (y * gridSize + x) * 2;
+    case BOTTOM:
+      return ((y + 1) * gridSize + x) * 2;
+    case LEFT:
+      return (y * gridSize + x) * 2 + 1;
+    default:
+      return (y * gridSize + x + 1) * 2 + 1;
+  }
+}
+
+// Grid position where the contour level crosses an edge, interpolated between its samples
+function getEdgeCrossing(terrain, gridSize, edgeId, level) {
+  const start = edgeId >> 1;
+  const end = edgeId & 1 ? start + gridSize : start + 1;
+  const t = (level - terrain[start]) / (terrain[end] - terrain[start]);
+  const x = start % gridSize;
+  const y = (start - x) / gridSize;
+  return edgeId & 1 ? [x, y + t] : [x + t, y];
+}
+
+function link(links, edgeId1, edgeId2) {
+  for (const [from, to] of [
+    [edgeId1, edgeId2],
+    [edgeId2, edgeId1]
+  ]) {
+    if (links.has(from)) {
+      links.get(from).push(to);
+    } else {
+      links.set(from, [to]);
+    }
+  }
+}
+
+// Chains the segments of a level into lines. An edge is crossed by at most two segments, one on
+// each side, so lines are open where they end on a single segment, and closed otherwise
+function getLines(links) {
+  const visited = new Set();
+  const lines = [];
+
+  const walk = (start) => {
+    const line = [start];
+    visited.add(start);
+    let edgeId = start;
+    let next = links.get(edgeId).find((neighbour) => !visited.has(neighbour));
+    while (next !== undefined) {
+      line.push(next);
+      visited.add(next);
+      edgeId = next;
+      next = links.get(edgeId).find((neighbour) => !visited.has(neighbour));
+    }
+    if (line.length > 2 && links.get(edgeId).includes(start)) {
+      line.push(start);
+    }
+    lines.push(line);
+  };
+
+  // Open lines first, so that they are walked from one end
+  for (const [edgeId, neighbours] of links) {
+    if (neighbours.length === 1 && !visited.has(edgeId)) {
+      walk(edgeId);
+    }
+  }
+  for (const edgeId of links.keys()) {
+    if (!visited.has(edgeId)) {
+      walk(edgeId);
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,173 @@
+// WGS84 ellipsoid
+const RADIUS_X = 6378137.0;
+const RADIUS_Y = 6378137.0;
+const RADIUS_Z = 6356752.3142451793;
+const RADII_SQUARED = [RADIUS_X * RADIUS_X, RADIUS_Y * RADIUS_Y, RADIUS_Z * RADIUS_Z];
+
+const DEGREES_TO_RADIANS = Math.PI / 180;
+
+/**
+ * Convert a geodetic position to Earth-centered, Earth-fixed coordinates
+ *
+ * @param {number[]} cartographic [longitude, latitude] in degrees, height in meters
+ * @returns {number[]} [x, y, z] in meters
+ */
+export function cartographicToCartesian([longitude, latitude, height = 0]) {
+  const [upX, upY, upZ] = getSurfaceNormal(longitude, latitude);
+
+  // Scale the surface normal onto the ellipsoid, then raise it by the height
+  const kx = RADII_SQUARED[0] * upX;
+  const ky = RADII_SQUARED[1] * upY;
+  const kz = RADII_SQUARED[2] * upZ;
+  const gamma = Math.sqrt(upX * kx + upY * ky + upZ * kz);
+
+  return [kx / gamma + upX * height, ky / gamma + upY * height, kz / gamma + upZ * height];
+}
+
+/**
+ * Convert an Earth-centered, Earth-fixed position to a geodetic one, with Bowring's formula
+ *
+ * @param {number[]} cartesian [x, y, z] in meters
+ * @returns {number[]} [longitude, latitude] in degrees, height in meters
+ */
+export function cartesianToCartographic([x, y, z]) {
+  const eccentricitySquared = 1 - RADII_SQUARED[2] / RADII_SQUARED[0];
+  const secondEccentricitySquared = RADII_SQUARED[0] / RADII_SQUARED[2] - 1;
+  const p = Math.sqrt(x * x + y * y);
+  const theta = Math.atan2(z * RADIUS_X, p * RADIUS_Z);
+
+  const phi = Math.atan2(
+    z + secondEccentricitySquared * RADIUS_Z * Math.sin(theta) ** 3,
+    p - eccentricitySquared * RADIUS_X * Math.cos(theta) ** 3
+  );
+  const sinPhi = Math.sin(phi);
+  const radius = RADIUS_X / Math.sqrt(1 - eccentricitySquared * sinPhi * sinPhi);
+  // Also holds at the poles, where p / cos(phi) does not
+  const height = p * Math.cos(phi) + (z + eccentricitySquared * radius * sinPhi) * sinPhi - radius;
+
+  return [Math.atan2(y, x) / DEGREES_TO_RADIANS, phi / DEGREES_TO_RADIANS, height];
+}
+
+/**
+ * Convert a vector from the local east-north-up frame to Earth-centered, Earth-fixed axes
+ *
+ * @param {number[]} vector [east, north, up]
+ * @param {number} longitude longitude of the local frame in degrees
+ * @param {number} latitude latitude of the local frame in degrees
+ * @returns {number[]} [x, y, z]
+ */
+export function eastNorthUpToFixedFrame([east, north, up], longitude, latitude) {
+  const lambda = longitude * DEGREES_TO_RADIANS;
+  const phi = latitude * DEGREES_TO_RADIANS;
+  const sinLambda = Math.sin(lambda);
+  const cosLambda = Math.cos(lambda);
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+
+  return [
+    -sinLambda * east - sinPhi * cosLambda * north + cosPhi * cosLambda * up,
+    cosLambda * east - sinPhi * sinLambda * north + cosPhi * sinLambda * up,
+    cosPhi * north + sinPhi * up
+  ];
+}
+
+/**
+ * Convert a vector from Earth-centered, Earth-fixed axes to the local east-north-up frame
+ *
+ * @param {number[]} vector [x, y, z]
+ * @param {number} longitude longitude of the local frame in degrees
+ * @param {number} latitude latitude of the local frame in degrees
+ * @returns {number[]} [east, north, up]
+ */
+export function fixedFrameToEastNorthUp([x, y, z], longitude, latitude) {
+  const lambda = longitude * DEGREES_TO_RADIANS;
+  const phi = latitude * DEGREES_TO_RADIANS;
+  const sinLambda = Math.sin(lambda);
+  const cosLambda = Math.cos(lambda);
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+
+  // Transpose of the east-north-up to fixed frame rotation
+  return [
+    -sinLambda * x + cosLambda * y,
+    -sinPhi * cosLambda * x - sinPhi * sinLambda * y + cosPhi * z,
+    cosPhi * cosLambda * x + cosPhi * sinLambda * y + sinPhi * z
+  ];
+}
+
+/**
+ * Scale an Earth-centered, Earth-fixed position by the inverse radii of the ellipsoid,
+ * turning the ellipsoid into the unit sphere
+ *
+ * @param {number[]} cartesian [x, y, z] in meters
+ * @returns {number[]} scaled [x, y, z]
+ */
+export function transformPositionToScaledSpace([x, y, z]) {
+  return [x / RADIUS_X, y / RADIUS_Y, z / RADIUS_Z];
+}
+
+/**
+ * Compute the point used to cull a tile below the horizon, as defined by Cesium
+ * https://cesium.com/blog/2013/04/25/horizon-culling/
+ *
+ * @param {number[]} directionToPoint direction of the point from the ellipsoid center,
+ *   usually the bounding sphere center
+ * @param {number[][]} positions Earth-centered, Earth-fixed positions of the tile
+ * @returns {number[] | null} occlusion point in the ellipsoid-scaled frame,
+ *   null if the positions can't be occluded
+ */
+export function computeHorizonOcclusionPoint(directionToPoint, positions) {
+  const direction = normalize(transformPositionToScaledSpace(directionToPoint));
+
+  let maxMagnitude = 0;
+  for (const position of positions) {
+    maxMagnitude = Math.max(maxMagnitude, computeMagnitude(position, direction));
+  }
+  if (!Number.isFinite(maxMagnitude) || maxMagnitude <= 0) {
+    return null;
+  }
+  return direction.map((component) => component * maxMagnitude);
+}
+
+// Distance along the direction at which the position is just above the horizon
+function computeMagnitude(position, direction) {
+  const scaledPosition = transformPositionToScaledSpace(position);
+  let magnitudeSquared = dot(scaledPosition, scaledPosition);
+  let magnitude = Math.sqrt(magnitudeSquared);
+  const positionDirection = scaledPosition.map((component) => component / magnitude);
+
+  // Positions below the ellipsoid are considered to be on it instead
+  magnitudeSquared = Math.max(1, magnitudeSquared);
+  magnitude = Math.max(1, magnitude);
+
+  const cosAlpha = dot(positionDirection, direction);
+  const sinAlpha = length(cross(positionDirection, direction));
+  const cosBeta = 1 / magnitude;
+  const sinBeta = Math.sqrt(magnitudeSquared - 1) * cosBeta;
+
+  return 1 / (cosAlpha * cosBeta - sinAlpha * sinBeta);
+}
+
+function getSurfaceNormal(longitude, latitude) {
+  const lambda = longitude * DEGREES_TO_RADIANS;
+  const phi = latitude * DEGREES_TO_RADIANS;
+  const cosPhi = Math.cos(phi);
+  return [cosPhi * Math.cos(lambda), cosPhi * Math.sin(lambda), Math.sin(phi)];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function length(a) {
+  return Math.sqrt(dot(a, a));
+}
+
+function normalize(a) {
+  const l = length(a);
+  return a.map((component) => component / l);
+}
@@ -0,0 +1,179 @@
+import Martini from '@mapbox/martini';
+
+/**
+ * Check if Martini can tesselate the image as is, i.e. it is square with a power of two size
+ *
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @returns {boolean} true if the (width + 1) * (height + 1) grid fits Martini
+ */
+export function isMartiniSize(width, height) {
+  return width === height && !(width & (width - 1));
+}
+
+/**
+ * Create a Martini tile for an image of any size, by fitting it into a 2^n + 1 grid first.
+ * The tile can be meshed at several error thresholds, like a Martini tile.
+ * Vertices are mapped back to the pixel space of the image, so they may be fractional,
+ * and come with their own heights.
+ *
+ * - 'pad': the grid is padded to the right and bottom by repeating the last column and row.
+ *   Triangles are clipped to the image, so Martini's error bound holds and pixels are not resampled.
+ * - 'resample': the image is stretched over the grid with bilinear sampling.
+ *
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {string} martiniFit 'pad' or 'resample'
+ * @returns {{getMesh: (meshMaxError: number) =>
+ *   {vertices: Float64Array, triangles: Uint32Array, heights: Float32Array}}} tile
+ */
+export function createFittedMartiniTile(width, height, terrain, martiniFit) {
+  const size = 2 ** Math.ceil(Math.log2(Math.max(width, height, 1)));
+  const gridSize = size + 1;
+
+  switch (martiniFit) {
+    case 'resample': {
+      const grid = resampleTerrain(terrain, width, height, gridSize);
+      const tile = new Martini(gridSize).createTile(grid);
+      return {
+        getMesh(meshMaxError) {
+          const {vertices, triangles} = tile.getMesh(meshMaxError);
+
+          const heights = new Float32Array(vertices.length / 2);
+          const scaledVertices = new Float64Array(vertices.length);
+          for (let i = 0; i < heights.length; i++) {
+            const x = vertices[i * 2];
+            const y = vertices[i * 2 + 1];
+            heights[i] = grid[y * gridSize + x];
+            scaledVertices[i * 2] = (x * width) / size;
+            scaledVertices[i * 2 + 1] = (y * height) / size;
+          }
+          return {vertices: scaledVertices, triangles, heights};
+        }
+      };
+    }
+    case 'pad': {
+      const grid = padTerrain(terrain, width, height, gridSize);
+      const tile = new Martini(gridSize).createTile(grid);
+      return {
+        getMesh(meshMaxError) {
+          const {vertices, triangles} = tile.getMesh(meshMaxError);
+          return clipToImage(vertices, triangles, grid, gridSize, width, height);
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown martiniFit: ${martiniFit}`);
+  }
+}
+
+function padTerrain(terrain, width, height, gridSize) {
+  const grid = new Float32Array(gridSize * gridSize);
+  for (let y = 0; y < gridSize; y++) {
+    const row = Math.min(y, height) * (width + 1);
+    for (let x = 0; x < gridSize; x++) {
+      grid[y * gridSize + x] = terrain[row + Math.min(x, width)];
+    }
+  }
+  return grid;
+}
+
+function resampleTerrain(terrain, width, height, gridSize) {
+  const grid = new Float32Array(gridSize * gridSize);
+  const size = gridSize - 1;
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) {
+      grid[y * gridSize + x] = sampleBilinear(
+        terrain,
+        width + 1,
+        height + 1,
+        (x * width) / size,
+        (y * height) / size
+      );
+    }
+  }
+  return grid;
+}
+
+function sampleBilinear(terrain, columns, rows, x, y) {
+  const x0 = Math.min(Math.floor(x), columns - 1);
+  const y0 = Math.min(Math.floor(y), rows - 1);
+  const x1 = Math.min(x0 + 1, columns - 1);
+  const y1 = Math.min(y0 + 1, rows - 1);
+  const dx = x - x0;
+  const dy = y - y0;
+
+  const top = terrain[y0 * columns + x0] * (1 - dx) + terrain[y0 * columns + x1] * dx;
+  const bottom = terrain[y1 * columns + x0] * (1 - dx) + terrain[y1 * columns + x1] * dx;
+  return top * (1 - dy) + bottom * dy;
+}
+
+// Clip the triangles of the padded grid to [0, width] x [0, height]. Vertices on the clipping
+// lines are shared between neighbouring triangles, so the mesh stays watertight.
+function clipToImage(vertices, triangles, grid, gridSize, width, height) {
+  const newVertices = [];
+  const heights = [];
+  const newTriangles = [];
+  const vertexIndices = new Map();
+
+  const getVertex = ([x, y, z]) => {
+    const key = `${x},${y}`;
+    if (!vertexIndices.has(key)) {
+      vertexIndices.set(key, heights.length);
+      newVertices.push(x, y);
+      heights.push(z);
+    }
+    return vertexIndices.get(key);
+  };
+  const getPoint = (vertex) => {
+    const x = vertices[vertex * 2];
+    const y = vertices[vertex * 2 + 1];
+    return [x, y, grid[y * gridSize + x]];
+  };
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    let polygon = [getPoint(triangles[i]), getPoint(triangles[i + 1]), getPoint(triangles[i + 2])];
+    polygon = clipPolygon(polygon, 0, width);
+    polygon = clipPolygon(polygon, 1, height);
+
+    // Clipped triangles are convex, triangulate them as a fan
+    for (let j = 1; j < polygon.length - 1; j++) {
+      newTriangles.push(getVertex(polygon[0]), getVertex(polygon[j]), getVertex(polygon[j + 1]));
+    }
+  }
+
+  return {
+    vertices: Float64Array.from(newVertices),
+    triangles: Uint32Array.from(newTriangles),
+    heights: Float32Array.from(heights)
+  };
+}
+
+// Sutherland-Hodgman clipping of a polygon to point[axis] <= max
+function clipPolygon(polygon, axis, max) {
+  const result = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const current = polygon[i];
+    const next = polygon[(i + 1) % polygon.length];
+    const isCurrentInside = current[axis] <= max;
+    const isNextInside = next[axis] <= max;
+
+    if (isCurrentInside) {
+      result.push(current);
+    }
+    if (isCurrentInside !== isNextInside) {
+      result.push(intersect(current, next, axis, max));
+    }
+  }
+  return result;
+}
+
+function intersect(p, q, axis, max) {
+  // Same order whichever triangle the edge belongs to, for identical results
+  const [a, b] = p[0] < q[0] || (p[0] === q[0] && p[1] < q[1]) ? [p, q] : [q, p];
+  const t = (max - a[axis]) / (b[axis] - a[axis]);
+  const point = a.map((value, i) => value + (b[i] - value) * t);
+  point[axis] = max;
+  return point;
+}
@@ -0,0 +1,95 @@
+/**
+ * Elevation statistics of the decoded pixels, nodata excluded
+ *
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @param {Uint8Array | null} noDataMask nodata samples
+ * @returns {{minElevation: number, maxElevation: number, meanElevation: number}} in meters,
+ *   null without valid pixels
+ */
+export function getElevationStats(terrain, width, height, noDataMask) {
+  const gridSize = width + 1;
+  let minElevation = Infinity;
+  let maxElevation = -Infinity;
+  let sum = 0;
+  let count = 0;
+
+  // The last row and column are backfilled copies, skip them
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * gridSize + x;
+      if (!noDataMask || !noDataMask[i]) {
+        const elevation = terrain[i];
+        minElevation = Math.min(minElevation, elevation);
+        maxElevation = Math.max(maxElevation, elevation);
+        sum += elevation;
+        count++;
+      }
+    }
+  }
+
+  if (count === 0) {
+    return {minElevation: null, maxElevation: null, meanElevation: null};
+  }
+  return {minElevation, maxElevation, meanElevation: sum / count};
+}
+
+/**
+ * Measure how far the mesh surface is from the elevation grid, by rasterizing its triangles
+ *
+ * @param {ArrayLike<number>} vertices vertex pixel coordinates, as x, y pairs
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @param {Float32Array} positions vertex positions, z is the elevation in meters
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @returns {{maxError: number, rmsd: number}} max error and root-mean-square deviation,
+ *   in meters, over the samples covered by the mesh
+ */
+export function getMeshError(vertices, triangles, positions, terrain, width, height) {
+  const gridSize = width + 1;
+  const visited = new Uint8Array(gridSize * (height + 1));
+  let maxError = 0;
+  let squaredErrorSum = 0;
+  let count = 0;
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    const [a, b, c] = [triangles[i], triangles[i + 1], triangles[i + 2]];
+    const [ax, ay, bx, by, cx, cy] = [
+      vertices[a * 2],
+      vertices[a * 2 + 1],
+      vertices[b * 2],
+      vertices[b * 2 + 1],
+      vertices[c * 2],
+      vertices[c * 2 + 1]
+    ];
+    const [az, bz, cz] = [positions[a * 3 + 2], positions[b * 3 + 2], positions[c * 3 + 2]];
+
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    const minX = Math.max(Math.ceil(Math.min(ax, bx, cx)), 0);
+    const minY = Math.max(Math.ceil(Math.min(ay, by, cy)), 0);
+    const maxX = Math.min(Math.floor(Math.max(ax, bx, cx)), width);
+    const maxY = Math.min(Math.floor(Math.max(ay, by, cy)), height);
+
+    for (let y = minY; area !== 0 && y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const index = y * gridSize + x;
+        // Barycentric coordinates, with a little slack for samples on the edges
+        const wa = ((bx - x) * (cy - y) - (by - y) * (cx - x)) / area;
+        const wb = ((cx - x) * (ay - y) - (cy - y) * (ax - x)) / area;
+        const wc = 1 - wa - wb;
+
+        if (!visited[index] && wa > -1e-9 && wb > -1e-9 && wc > -1e-9) {
+          visited[index] = 1;
+          const error = Math.abs(wa * az + wb * bz + wc * cz - terrain[index]);
+          maxError = Math.max(maxError, error);
+          squaredErrorSum += error * error;
+          count++;
+        }
+      }
+    }
+  }
+
+  return {maxError, rmsd: count > 0 ? Math.sqrt(squaredErrorSum / count) : 0};
+}
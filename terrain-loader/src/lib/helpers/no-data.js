@@ -0,0 +1,174 @@
+/**
+ * Flag the samples of the elevation grid that hold the nodata value
+ *
+ * @param {Float32Array} terrain elevation grid
+ * @param {number | null} noDataValue elevation marking missing data, may be NaN
+ * @returns {Uint8Array | null} 1 for nodata samples, 0 otherwise. null if every sample is valid
+ */
+export function getNoDataMask(terrain, noDataValue) {
+  if (noDataValue === null || noDataValue === undefined) {
+    return null;
+  }
+
+  // NaN never equals itself, and the grid only holds 32 bit floats
+  const value32 = Math.fround(noDataValue);
+  const isNoData = Number.isNaN(noDataValue)
+    ? (value) => Number.isNaN(value)
+    : (value) => value === value32;
+
+  const mask = new Uint8Array(terrain.length);
+  let noDataCount = 0;
+  for (let i = 0; i < terrain.length; i++) {
+    if (isNoData(terrain[i])) {
+      mask[i] = 1;
+      noDataCount++;
+    }
+  }
+  return noDataCount > 0 ? mask : null;
+}
+
+/**
+ * Replace the nodata samples in place, so the tesselators only see valid elevations
+ *
+ * - 'clamp': the lowest valid elevation of the tile
+ * - 'fill-nearest' and 'hole': the elevation of the nearest valid sample
+ *
+ * @param {Float32Array} terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {Uint8Array} mask nodata samples
+ * @param {number} gridSize width of the elevation grid
+ * @param {string} noDataStrategy 'hole', 'fill-nearest' or 'clamp'
+ */
+export function fillNoData(terrain, mask, gridSize, noDataStrategy) {
+  switch (noDataStrategy) {
+    case 'clamp':
+      clampNoData(terrain, mask);
+      break;
+    case 'fill-nearest':
+    case 'hole':
+      fillNearest(terrain, mask, gridSize);
+      break;
+    default:
+      throw new Error(`Unknown noDataStrategy: ${noDataStrategy}`);
+  }
+}
+
+function clampNoData(terrain, mask) {
+  let minElevation = Infinity;
+  for (let i = 0; i < terrain.length; i++) {
+    if (!mask[i]) {
+      minElevation = Math.min(minElevation, terrain[i]);
+    }
+  }
+  const value = Number.isFinite(minElevation) ? minElevation : 0;
+  for (let i = 0; i < terrain.length; i++) {
+    if (mask[i]) {
+      terrain[i] = value;
+    }
+  }
+}
+
+// Breadth first search from all valid samples at once, so every nodata sample
+// takes the elevation of the closest valid sample (in 4-connected steps)
+function fillNearest(terrain, mask, gridSize) {
+  const rows = terrain.length / gridSize;
+  const visited = new Uint8Array(terrain.length);
+  const queue = new Uint32Array(terrain.length);
+  let head = 0;
+  let tail = 0;
+
+  for (let i = 0; i < terrain.length; i++) {
+    if (!mask[i]) {
+      visited[i] = 1;
+      queue[tail++] = i;
+    }
+  }
+
+  // Tile without any valid elevation
+  if (tail === 0) {
+    terrain.fill(0);
+    return;
+  }
+
+  while (head < tail) {
+    const i = queue[head++];
+    const x = i % gridSize;
+    const y = (i - x) / gridSize;
+    const neighbours = [
+      x > 0 ? i - 1 : -1,
+      x < gridSize - 1 ? i + 1 : -1,
+      y > 0 ? i - gridSize : -1,
+      y < rows - 1 ? i + gridSize : -1
+    ];
+    for (const j of neighbours) {
+      if (j >= 0 && !visited[j]) {
+        visited[j] = 1;
+        terrain[j] = terrain[i];
+        queue[tail++] = j;
+      }
+    }
+  }
+}
+
+/**
+ * Drop the triangles that cover a nodata sample, at a vertex, along an edge or inside. Simplified
+ * meshes have triangles spanning many samples, which would bridge over the nodata between them.
+ *
+ * @param {ArrayLike<number>} vertices vertex pixel coordinates, as x, y pairs
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @param {Uint8Array} mask nodata samples
+ * @param {number} gridSize width of the elevation grid
+ * @returns {Uint32Array} remaining triangle indices
+ */
+export function removeNoDataTriangles(vertices, triangles, mask, gridSize) {
+  // Vertices may be fractional when mapped back from a fitted Martini grid
+  const isNoData = (vertex) =>
+    mask[Math.round(vertices[vertex * 2 + 1]) * gridSize + Math.round(vertices[vertex * 2])];
+
+  const newTriangles = new Uint32Array(triangles.length);
+  let length = 0;
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i];
+    const b = triangles[i + 1];
+    const c = triangles[i + 2];
+    if (
+      !isNoData(a) &&
+      !isNoData(b) &&
+      !isNoData(c) &&
+      !coversNoData(vertices, a, b, c, mask, gridSize)
+    ) {
+      newTriangles[length++] = a;
+      newTriangles[length++] = b;
+      newTriangles[length++] = c;
+    }
+  }
+  return newTriangles.slice(0, length);
+}
+
+// Samples in the bounding box of the triangle are tested with their barycentric coordinates
+function coversNoData(vertices, a, b, c, mask, gridSize) {
+  const [ax, ay] = [vertices[a * 2], vertices[a * 2 + 1]];
+  const [bx, by] = [vertices[b * 2], vertices[b * 2 + 1]];
+  const [cx, cy] = [vertices[c * 2], vertices[c * 2 + 1]];
+  const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+  if (area === 0) {
+    return false;
+  }
+
+  const epsilon = 1e-6;
+  const minX = Math.ceil(Math.min(ax, bx, cx) - epsilon);
+  const maxX = Math.floor(Math.max(ax, bx, cx) + epsilon);
+  const minY = Math.ceil(Math.min(ay, by, cy) - epsilon);
+  const maxY = Math.floor(Math.max(ay, by, cy) + epsilon);
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      if (mask[y * gridSize + x]) {
+        const u = ((bx - x) * (cy - y) - (cx - x) * (by - y)) / area;
+        const v = ((cx - x) * (ay - y) - (ax - x) * (cy - y)) / area;
+        if (u >= -epsilon && v >= -epsilon && 1 - u - v >= -epsilon) {
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+}
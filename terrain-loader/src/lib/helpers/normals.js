@@ -0,0 +1,185 @@
+/**
+ * Compute smooth, area-weighted vertex normals for a heightmap mesh
+ *
+ * Interior vertices average the normals of the faces around them, weighted by face area.
+ * Border vertices only see the faces on one side, so their normals are taken from the
+ * heightmap gradient instead. The gradient is one-sided on the borders, unless the samples of
+ * the neighbouring tiles are given: with the shared border in borderElevations and the samples
+ * past it in paddingElevations, neighbouring tiles agree on the normals along their shared
+ * edges. Callers have to gather these samples, TerrainLayer doesn't yet.
+ *
+ * @param {object} params
+ * @param {ArrayLike<number>} params.vertices vertex pixel coordinates, as x, y pairs
+ * @param {ArrayLike<number>} params.triangles triangle indices
+ * @param {Float32Array} params.positions vertex positions, z is the elevation in meters
+ * @param {Float32Array} params.terrain elevation grid of (width + 1) * (height + 1) samples
+ * @param {number} params.width width of the input data
+ * @param {number} params.height height of the input data
+ * @param {number[]} params.cellSize size of one pixel in meters, [x, y]
+ * @param {object} [params.borderElevations] {east, south} samples of the neighbours replacing
+ *   the last column and row of the grid, which otherwise copy the pixels before them
+ * @param {object} [params.paddingElevations] {west, south, east, north} samples one step past
+ *   each border of the grid, in the order of its rows and columns
+ * @returns {Float32Array} vec3 normals, 1 to 1 relationship with vertices
+ */
+export function getVertexNormals({
+  vertices,
+  triangles,
+  positions,
+  terrain,
+  width,
+  height,
+  cellSize,
+  borderElevations,
+  paddingElevations
+}) {
+  const [cellX, cellY] = cellSize;
+  const getGradient = createGradient(terrain, width, height, borderElevations, paddingElevations);
+  const numOfVerticies = vertices.length / 2;
+  const normals = new Float32Array(numOfVerticies * 3);
+
+  // Accumulate face normals. The cross product length is twice the face area,
+  // which gives the area weighting for free.
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i];
+    const b = triangles[i + 1];
+    const c = triangles[i + 2];
+
+    const abx = (vertices[b * 2] - vertices[a * 2]) * cellX;
+    const aby = -(vertices[b * 2 + 1] - vertices[a * 2 + 1]) * cellY;
+    const abz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    const acx = (vertices[c * 2] - vertices[a * 2]) * cellX;
+    const acy = -(vertices[c * 2 + 1] - vertices[a * 2 + 1]) * cellY;
+    const acz = positions[c * 3 + 2] - positions[a * 3 + 2];
+
+    let nx = aby * acz - abz * acy;
+    let ny = abz * acx - abx * acz;
+    let nz = abx * acy - aby * acx;
+    // Heightmap faces always point up, whatever the winding of the tesselator
+    if (nz < 0) {
+      nx = -nx;
+      ny = -ny;
+      nz = -nz;
+    }
+
+    for (const v of [a, b, c]) {
+      normals[v * 3 + 0] += nx;
+      normals[v * 3 + 1] += ny;
+      normals[v * 3 + 2] += nz;
+    }
+  }
+
+  for (let i = 0; i < numOfVerticies; i++) {
+    const x = vertices[i * 2];
+    const y = vertices[i * 2 + 1];
+
+    if (x <= 0 || y <= 0 || x >= width || y >= height) {
+      const [dzdx, dzdy] = getGradient(x, y);
+      // Pixel y grows southwards while position y grows northwards
+      normals[i * 3 + 0] = -dzdx / cellX;
+      normals[i * 3 + 1] = dzdy / cellY;
+      normals[i * 3 + 2] = 1;
+    }
+
+    const nx = normals[i * 3 + 0];
+    const ny = normals[i * 3 + 1];
+    const nz = normals[i * 3 + 2];
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length > 0) {
+      normals[i * 3 + 0] = nx / length;
+      normals[i * 3 + 1] = ny / length;
+      normals[i * 3 + 2] = nz / length;
+    } else {
+      normals[i * 3 + 2] = 1;
+    }
+  }
+
+  return normals;
+}
+
+// Central differences over the decoded pixels, in meters per pixel. Samples range from the
+// padding before the first row and column to the padding past the last ones, where given
+function createGradient(terrain, width, height, borderElevations, paddingElevations) {
+  const gridSize = width + 1;
+  const borders = borderElevations || {};
+  const {west, south, east, north} = paddingElevations || {};
+  if ((east && !borders.east) || (south && !borders.south)) {
+    throw new Error('paddingElevations on the east and south need borderElevations there');
+  }
+  for (const [border, samples, length] of [
+    ['west', west, height + 1],
+    ['south', south, width + 1],
+    ['east', east, height + 1],
+    ['north', north, width + 1]
+  ]) {
+    if (samples && samples.length !== length) {
+      throw new Error(`paddingElevations.${border} needs ${length} samples`);
+    }
+  }
+  // The last column and row copy the pixels before them, unless they come from the neighbours
+  const lastX = borders.east ? width : width - 1;
+  const lastY = borders.south ? height : height - 1;
+  const minX = west ? -1 : 0;
+  const maxX = east ? width + 1 : lastX;
+  const minY = north ? -1 : 0;
+  const maxY = south ? height + 1 : lastY;
+
+  const getSample = (x, y) => {
+    if (x < 0) return west[y];
+    if (x > width) return east[y];
+    if (y < 0) return north[x];
+    if (y > height) return south[x];
+    return terrain[y * gridSize + x];
+  };
+
+  return (x, y) => {
+    const px = Math.round(x);
+    const py = Math.round(y);
+
+    const [x0, x1] = getNeighbours(px, minX, maxX);
+    const [y0, y1] = getNeighbours(py, minY, maxY);
+    const row = Math.min(py, lastY);
+    const col = Math.min(px, lastX);
+
+    const dzdx = x1 > x0 ? (getSample(x1, row) - getSample(x0, row)) / (x1 - x0) : 0;
+    const dzdy = y1 > y0 ? (getSample(col, y1) - getSample(col, y0)) / (y1 - y0) : 0;
+    return [dzdx, dzdy];
+  };
+}
+
+// Samples on either side of p, clamped to [min, max]. Falls back to a one-sided
+// difference on the edges.
+function getNeighbours(p, min, max) {
+  let p0 = Math.min(Math.max(p - 1, min), max);
+  let p1 = Math.min(Math.max(p + 1, min), max);
+  if (p0 === p1) {
+    if (p0 > min) {
+      p0--;
+    } else if (p1 < max) {
+      p1++;
+    }
+  }
+  return [p0, p1];
+}
+
+const METERS_PER_DEGREE = 111319.49;
+
+/**
+ * Size of one pixel in meters, used to bring x, y into the same unit as the elevation
+ *
+ * @param {number[] | null} bounds bounds of the image, in longitude/latitude degrees
+ * @param {number} width width of the input data
+ * @param {number} height height of the input data
+ * @returns {number[]} [x, y] pixel size in meters. 1 meter per pixel without bounds
+ */
+export function getCellSize(bounds, width, height) {
+  if (!bounds) {
+    return [1, 1];
+  }
+  const [minX, minY, maxX, maxY] = bounds;
+  const latitude = (((minY + maxY) / 2) * Math.PI) / 180;
+  return [
+    ((maxX - minX) / width) * METERS_PER_DEGREE * Math.cos(latitude),
+    ((maxY - minY) / height) * METERS_PER_DEGREE
+  ];
+}
@@ -0,0 +1,61 @@
+// Oct encoding of unit vectors into two bytes, as used by the quantized-mesh vertex normals
+// extension. http://jcgt.org/published/0003/02/01/
+
+const RANGE_MAX = 255;
+
+/**
+ * Encode a unit vector into two bytes
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number[]} [x, y] in [0, 255]
+ */
+export function octEncode(x, y, z) {
+  const l1Norm = Math.abs(x) + Math.abs(y) + Math.abs(z);
+  let octX = x / l1Norm;
+  let octY = y / l1Norm;
+
+  // Fold the lower hemisphere over the diagonals
+  if (z < 0) {
+    const foldedX = (1 - Math.abs(octY)) * signNotZero(octX);
+    octY = (1 - Math.abs(octX)) * signNotZero(octY);
+    octX = foldedX;
+  }
+
+  return [toSNorm(octX), toSNorm(octY)];
+}
+
+/**
+ * Decode two bytes into a unit vector
+ *
+ * @param {number} encodedX in [0, 255]
+ * @param {number} encodedY in [0, 255]
+ * @returns {number[]} [x, y, z]
+ */
+export function octDecode(encodedX, encodedY) {
+  let x = fromSNorm(encodedX);
+  let y = fromSNorm(encodedY);
+  const z = 1 - (Math.abs(x) + Math.abs(y));
+
+  if (z < 0) {
+    const foldedX = x;
+    x = (1 - Math.abs(y)) * signNotZero(foldedX);
+    y = (1 - Math.abs(foldedX)) * signNotZero(y);
+  }
+
+  const length = Math.sqrt(x * x + y * y + z * z);
+  return [x / length, y / length, z / length];
+}
+
+function signNotZero(value) {
+  return value < 0 ? -1 : 1;
+}
+
+function toSNorm(value) {
+  return Math.round((Math.min(Math.max(value, -1), 1) * 0.5 + 0.5) * RANGE_MAX);
+}
+
+function fromSNorm(value) {
+  return (Math.min(Math.max(value, 0), RANGE_MAX) / RANGE_MAX) * 2 - 1;
+}
@@ -0,0 +1,71 @@
+const EPSILON = 1e-9;
+
+/**
+ * Elevation of a terrain mesh at a position, from its height map if it has one, or else from
+ * its triangles
+ *
+ * - height map: bilinear interpolation of the elevation grid, exact at every sample where the
+ *   mesh is only within meshMaxError of it
+ * - triangles: barycentric interpolation on the triangle holding the position, e.g. for
+ *   quantized-mesh tiles
+ *
+ * @param {object} mesh mesh object from TerrainLoader or QuantizedMeshLoader
+ * @param {number[]} position [x, y] in the coordinates of the mesh positions, i.e. of its bounds
+ * @returns {number | null} elevation in meters, null outside of the mesh or in its holes
+ */
+export function getMeshElevation(mesh, [x, y]) {
+  const [min, max] = mesh.header.boundingBox;
+  if (x < min[0] || x > max[0] || y < min[1] || y > max[1]) {
+    return null;
+  }
+  return mesh.heightMap ? sampleHeightMap(mesh.heightMap, x, y) : sampleTriangles(mesh, x, y);
+}
+
+function sampleHeightMap({data, width, height, bounds}, x, y) {
+  const [minX, minY, maxX, maxY] = bounds;
+  // Rows run from north to south
+  const column = Math.min(Math.max(((x - minX) / (maxX - minX)) * (width - 1), 0), width - 1);
+  const row = Math.min(Math.max(((maxY - y) / (maxY - minY)) * (height - 1), 0), height - 1);
+
+  const x0 = Math.min(Math.floor(column), width - 2);
+  const y0 = Math.min(Math.floor(row), height - 2);
+  const dx = column - x0;
+  const dy = row - y0;
+  const i = y0 * width + x0;
+
+  const top = data[i] * (1 - dx) + data[i + 1] * dx;
+  const bottom = data[i + width] * (1 - dx) + data[i + width + 1] * dx;
+  const elevation = top * (1 - dy) + bottom * dy;
+  // NaN in holes
+  return Number.isNaN(elevation) ? null : elevation;
+}
+
+function sampleTriangles(mesh, x, y) {
+  const positions = mesh.attributes.POSITION.value;
+  const triangles = mesh.indices.value;
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i] * 3;
+    const b = triangles[i + 1] * 3;
+    const c = triangles[i + 2] * 3;
+
+    const x0 = positions[a];
+    const y0 = positions[a + 1];
+    const area =
+      (positions[b] - x0) * (positions[c + 1] - y0) - (positions[c] - x0) * (positions[b + 1] - y0);
+    // Skirt triangles are vertical
+    if (area !== 0) {
+      const u =
+        ((positions[b] - x) * (positions[c + 1] - y) -
+          (positions[c] - x) * (positions[b + 1] - y)) /
+        area;
+      const v = ((positions[c] - x) * (y0 - y) - (x0 - x) * (positions[c + 1] - y)) / area;
+      const w = 1 - u - v;
+      // Positions on a shared edge may round outside of both triangles
+      if (u >= -EPSILON && v >= -EPSILON && w >= -EPSILON) {
+        return u * positions[a + 2] + v * positions[b + 2] + w * positions[c + 2];
+      }
+    }
+  }
+  return null;
+}
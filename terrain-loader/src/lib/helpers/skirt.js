@@ -0,0 +1,161 @@
+/**
+ * Find the edges that belong to a single triangle, i.e. the outline of the mesh
+ *
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @returns {number[][]} [a, b] vertex pairs, in the winding order of their triangle
+ */
+export function getOutsideEdgesFromTriangles(triangles) {
+  let vertexCount = 0;
+  for (let i = 0; i < triangles.length; i++) {
+    vertexCount = Math.max(vertexCount, triangles[i] + 1);
+  }
+
+  // Shared edges are seen twice (once from each side) and cancel out
+  const edges = new Map();
+  for (let i = 0; i < triangles.length; i += 3) {
+    for (let j = 0; j < 3; j++) {
+      const a = triangles[i + j];
+      const b = triangles[i + ((j + 1) % 3)];
+      const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+      if (edges.has(key)) {
+        edges.delete(key);
+      } else {
+        edges.set(key, [a, b]);
+      }
+    }
+  }
+
+  return Array.from(edges.values());
+}
+
+/**
+ * Find the outside edges along the border vertices of a tile, e.g. the edge indices of a
+ * quantized-mesh tile. Border vertices are chained along each border, where a triangle joins them.
+ * Unlike getOutsideEdgesFromTriangles, the outlines of holes inside the tile are left out.
+ *
+ * @param {{westIndices: ArrayLike<number>, southIndices: ArrayLike<number>,
+ *   eastIndices: ArrayLike<number>, northIndices: ArrayLike<number>}} edgeIndices
+ *   vertices on each border, in any order
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @param {Float32Array} positions vertex positions, to sort the border vertices
+ * @returns {number[][]} [a, b] vertex pairs, in the winding order of their triangle
+ */
+export function getOutsideEdgesFromIndices(edgeIndices, triangles, positions) {
+  const {westIndices, southIndices, eastIndices, northIndices} = edgeIndices;
+  const byY = (a, b) => positions[a * 3 + 1] - positions[b * 3 + 1];
+  const byX = (a, b) => positions[a * 3] - positions[b * 3];
+
+  // Directed edges of the triangles, to find the winding of each border edge
+  const halfedges = new Set();
+  for (let i = 0; i < triangles.length; i++) {
+    const next = i - (i % 3) + ((i + 1) % 3);
+    halfedges.add(`${triangles[i]},${triangles[next]}`);
+  }
+
+  const edges = [];
+  for (const [indices, compare] of [
+    [westIndices, byY],
+    [southIndices, byX],
+    [eastIndices, byY],
+    [northIndices, byX]
+  ]) {
+    const sorted = Array.from(indices).sort(compare);
+    for (let i = 1; i < sorted.length; i++) {
+      const [a, b] = [sorted[i - 1], sorted[i]];
+      if (halfedges.has(`${a},${b}`)) {
+        edges.push([a, b]);
+      } else if (halfedges.has(`${b},${a}`)) {
+        edges.push([b, a]);
+      }
+      // Otherwise a hole reaches the border between the two vertices
+    }
+  }
+  return edges;
+}
+
+/**
+ * Add a skirt along the outside edges of the mesh, to hide cracks between neighbouring tiles.
+ * Each edge vertex is duplicated skirtHeight meters lower, with the same texture coordinates,
+ * and every edge is extruded down into two triangles.
+ *
+ * @param {object} attributes mesh attributes, POSITION z in meters
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @param {number} skirtHeight height of the skirt in meters
+ * @param {number[][]} outsideEdges [a, b] vertex pairs, in the winding order of their triangle
+ * @returns {{attributes: object, triangles: Uint32Array}} mesh attributes and triangles with skirt
+ */
+export function addSkirt(attributes, triangles, skirtHeight, outsideEdges) {
+  const vertexCount = attributes.POSITION.value.length / attributes.POSITION.size;
+
+  // Map each edge vertex to its skirt vertex
+  const skirtVertices = new Map();
+  for (const edge of outsideEdges) {
+    for (const vertex of edge) {
+      if (!skirtVertices.has(vertex)) {
+        skirtVertices.set(vertex, vertexCount + skirtVertices.size);
+      }
+    }
+  }
+
+  const newAttributes = {};
+  for (const name in attributes) {
+    const {value, size} = attributes[name];
+    const newValue = new value.constructor((vertexCount + skirtVertices.size) * size);
+    newValue.set(value);
+    for (const [vertex, skirtVertex] of skirtVertices) {
+      for (let i = 0; i < size; i++) {
+        newValue[skirtVertex * size + i] = value[vertex * size + i];
+      }
+    }
+    newAttributes[name] = {...attributes[name], value: newValue};
+  }
+
+  const positions = newAttributes.POSITION.value;
+  for (const skirtVertex of skirtVertices.values()) {
+    positions[skirtVertex * 3 + 2] -= skirtHeight;
+  }
+
+  const newTriangles = new Uint32Array(triangles.length + outsideEdges.length * 6);
+  newTriangles.set(triangles);
+  let i = triangles.length;
+  for (const [a, b] of outsideEdges) {
+    const skirtA = skirtVertices.get(a);
+    const skirtB = skirtVertices.get(b);
+    // Opposite winding to the edge's own triangle, as a neighbouring triangle would have
+    newTriangles[i++] = b;
+    newTriangles[i++] = a;
+    newTriangles[i++] = skirtA;
+    newTriangles[i++] = b;
+    newTriangles[i++] = skirtA;
+    newTriangles[i++] = skirtB;
+  }
+
+  return {attributes: newAttributes, triangles: newTriangles};
+}
+
+/**
+ * Drop the skirt triangles of a mesh. Skirts hang vertically from the outside edges, so their
+ * triangles have no area seen from above, unlike the triangles of the surface.
+ *
+ * @param {Float32Array} positions vertex positions
+ * @param {ArrayLike<number>} triangles triangle indices
+ * @returns {Uint32Array} triangle indices of the surface
+ */
+export function removeSkirtTriangles(positions, triangles) {
+  const newTriangles = new Uint32Array(triangles.length);
+  let length = 0;
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i] * 3;
+    const b = triangles[i + 1] * 3;
+    const c = triangles[i + 2] * 3;
+    const area =
+      (positions[b] - positions[a]) * (positions[c + 1] - positions[a + 1]) -
+      (positions[c] - positions[a]) * (positions[b + 1] - positions[a + 1]);
+    if (area !== 0) {
+      newTriangles[length++] = triangles[i];
+      newTriangles[length++] = triangles[i + 1];
+      newTriangles[length++] = triangles[i + 2];
+    }
+  }
+  return newTriangles.slice(0, length);
+}
@@ -0,0 +1,147 @@
+const GEOGRAPHIC = 'EPSG:4326';
+const WEB_MERCATOR = 'EPSG:3857';
+
+// Resolve a tile template against the url of the layer.json, keeping its {x}, {y}, {z} as is
+function resolveTemplate(template, baseUrl, version) {
+  const url = template.replace('{version}', version);
+  if (!baseUrl) {
+    return url;
+  }
+  return new URL(url, baseUrl).href.replace(/%7B/g, '{').replace(/%7D/g, '}');
+}
+
+/**
+ * Parse the layer.json descriptor of a quantized-mesh tileset
+ *
+ * @param {string} text layer.json content
+ * @param {object} [options] loader options
+ * @param {string} [options.layer-json.baseUrl] url the tile templates are relative to,
+ *   the url of the layer.json if null
+ * @param {object} [context] loader context
+ * @returns {object} tileset descriptor
+ */
+export default function parseLayerJson(text, options = {}, context = {}) {
+  const json = JSON.parse(text);
+  const {baseUrl} = options['layer-json'] || {};
+
+  if (!Array.isArray(json.tiles) || json.tiles.length === 0) {
+    throw new Error('layer.json has no tiles');
+  }
+  const projection = json.projection || GEOGRAPHIC;
+  if (projection !== GEOGRAPHIC && projection !== WEB_MERCATOR) {
+    throw new Error(`Unsupported layer.json projection: ${projection}`);
+  }
+
+  const version = json.version || '1.0.0';
+  const available = json.available || null;
+  // Without metadata, the available ranges list all the levels
+  const lastLevel = available && !json.metadataAvailability ? available.length - 1 : Infinity;
+  const maxZoom = Number.isFinite(json.maxzoom) ? json.maxzoom : lastLevel;
+
+  return {
+    name: json.name || null,
+    attribution: json.attribution || null,
+    format: json.format || 'quantized-mesh-1.0',
+    version,
+    scheme: json.scheme || 'tms',
+    projection,
+    tiles: json.tiles.map((template) => resolveTemplate(template, baseUrl || context.url, version)),
+    minZoom: json.minzoom || 0,
+    maxZoom,
+    bounds: json.bounds || [-180, -90, 180, 90],
+    extensions: json.extensions || [],
+    // Ranges of the tiles of each zoom level, [{startX, startY, endX, endY}], in the tile scheme
+    available,
+    // Levels whose tiles carry the availability of their descendants, in a metadata extension
+    metadataAvailability: json.metadataAvailability || null,
+    parentUrl: json.parentUrl
+      ? resolveTemplate(json.parentUrl, baseUrl || context.url, version)
+      : null
+  };
+}
+
+// [west, south, east, north] of a Web Mercator tile in degrees, y counted from the north
+function getTileBounds(x, y, z) {
+  const scale = 2 ** z;
+  const toLatitude = (row) =>
+    (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / scale))) * 180) / Math.PI;
+  return [(x / scale) * 360 - 180, toLatitude(y + 1), ((x + 1) / scale) * 360 - 180, toLatitude(y)];
+}
+
+// Level and ranges of the tiles of the tileset grid covering a Web Mercator tile, in its scheme
+function getTileRange({projection, scheme}, x, y, z) {
+  let level = z;
+  let range = {startX: x, startY: y, endX: x, endY: y};
+  if (projection === GEOGRAPHIC) {
+    // Geographic tiles of level z - 1 are as wide as Web Mercator tiles of level z, and there are
+    // two of them at level 0. Rows are evenly spaced in latitude, they do not match
+    level = Math.max(z - 1, 0);
+    const size = 180 / 2 ** level;
+    const [west, south, east, north] = getTileBounds(x, y, z);
+    // Tile edges computed in floating point may fall just past a tile of the other grid
+    const epsilon = 1e-9;
+    range = {
+      startX: Math.floor((west + 180) / size + epsilon),
+      startY: Math.floor((90 - north) / size + epsilon),
+      endX: Math.ceil((east + 180) / size - epsilon) - 1,
+      endY: Math.ceil((90 - south) / size - epsilon) - 1
+    };
+  }
+  if (scheme === 'tms') {
+    const lastRow = 2 ** level - 1;
+    range = {...range, startY: lastRow - range.endY, endY: lastRow - range.startY};
+  }
+  return {level, range};
+}
+
+/**
+ * Check if a tileset has the data of a tile, from its zoom range, bounds and available ranges,
+ * so that the tile is not requested for nothing. Levels past the available ranges are assumed
+ * available within the zoom range, their availability only being known from the metadata of
+ * their ancestors.
+ *
+ * @param {object} layer tileset descriptor from LayerJsonLoader
+ * @param {{x: number, y: number, z: number}} tileIndex Web Mercator tile, as in TileLayer, y
+ *   counted from the north. The tiles of geographic tilesets covering it are checked, at the level
+ *   below
+ * @returns {boolean} true if the tileset has data in the tile
+ */
+export function isTileAvailable(layer, {x, y, z}) {
+  const {minZoom, maxZoom, bounds, available} = layer;
+  const [west, south, east, north] = getTileBounds(x, y, z);
+  if (west >= bounds[2] || east <= bounds[0] || south >= bounds[3] || north <= bounds[1]) {
+    return false;
+  }
+
+  const {level, range} = getTileRange(layer, x, y, z);
+  if (level < minZoom || level > maxZoom) {
+    return false;
+  }
+  if (!available || level >= available.length) {
+    return true;
+  }
+  return available[level].some(
+    ({startX, startY, endX, endY}) =>
+      range.startX <= endX && range.endX >= startX && range.startY <= endY && range.endY >= startY
+  );
+}
+
+/**
+ * Url of the tile of a Web Mercator tileset matching a TileLayer tile. Geographic tiles do not
+ * line up with the tiles of TileLayer, which are Web Mercator, so their tilesets are rejected.
+ *
+ * @param {object} layer tileset descriptor from LayerJsonLoader
+ * @param {{x: number, y: number, z: number}} tileIndex Web Mercator tile, as in TileLayer, y
+ *   counted from the north
+ * @returns {string} tile url, with its row in the scheme of the tileset
+ */
+export function getTileUrl(layer, {x, y, z}) {
+  const {projection, scheme, tiles} = layer;
+  if (projection !== WEB_MERCATOR) {
+    throw new Error(`Tiles of ${projection} tilesets do not match Web Mercator tiles`);
+  }
+  const row = scheme === 'tms' ? 2 ** z - 1 - y : y;
+  // Spread the requests over the templates, e.g. of several hosts
+  const template = tiles[(x + row + z) % tiles.length];
+  return template.replace('{x}', x).replace('{y}', row).replace('{z}', z);
+}
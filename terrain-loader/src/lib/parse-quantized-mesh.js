@@ -1,5 +1,7 @@
-import {getMeshBoundingBox} from '@loaders.gl/loader-utils';
-import decode, {DECODING_STEPS} from './decode-quantized-mesh';
+import decode from './decode-quantized-mesh';
+import {fixedFrameToEastNorthUp} from './helpers/ellipsoid';
+import {octDecode} from './helpers/oct-encoding';
+import {addSkirt, getOutsideEdgesFromIndices} from './helpers/skirt';
 
 function getMeshAttributes(vertexData, header, bounds) {
   const {minHeight, maxHeight} = header;
@@ -32,36 +34,156 @@ function getMeshAttributes(vertexData, header, bounds) {
   return {
     POSITION: {value: positions, size: 3},
     TEXCOORD_0: {value: texCoords, size: 2}
-    // TODO: Parse normals if they exist in the file
-    // NORMAL: {}, - optional, but creates the high poly look with lighting
+    // NORMAL is added by getTileMesh when the file has the vertex normals extension
   };
 }
 
+/**
+ * Decode the oct-encoded normals of the vertex normals extension
+ *
+ * @param {Uint8Array} octNormals two bytes per vertex, normals in Earth-centered, Earth-fixed axes
+ * @param {Uint16Array} vertexData quantized vertices, all u, then all v, then all heights
+ * @param {number[]} cartographicBounds longitude/latitude bounds of the tile, in degrees
+ * @returns {Float32Array} normals in the east-north-up frame of each vertex
+ */
+function decodeVertexNormals(octNormals, vertexData, cartographicBounds) {
+  const [west, south, east, north] = cartographicBounds;
+  const nCoords = vertexData.length / 3;
+  const normals = new Float32Array(nCoords * 3);
+  for (let i = 0; i < nCoords; i++) {
+    const normal = fixedFrameToEastNorthUp(
+      octDecode(octNormals[i * 2], octNormals[i * 2 + 1]),
+      west + (vertexData[i] / 32767) * (east - west),
+      south + (vertexData[i + nCoords] / 32767) * (north - south)
+    );
+    normals.set(normal, i * 3);
+  }
+  return normals;
+}
+
+/**
+ * Turn the water mask extension into a mask image, with rows from south to north like the
+ * TEXCOORD_0 of the mesh
+ *
+ * @param {ArrayBuffer} waterMask 256 * 256 bytes from north to south, 0 for land and 255 for
+ *   water, or a single byte for a tile all land (0) or all water (1)
+ * @returns {{data: Uint8Array, width: number, height: number}} 0 for land, 255 for water
+ */
+function decodeWaterMask(waterMask) {
+  const bytes = new Uint8Array(waterMask);
+  if (bytes.length === 1) {
+    return {data: Uint8Array.of(bytes[0] ? 255 : 0), width: 1, height: 1};
+  }
+
+  const size = Math.round(Math.sqrt(bytes.length));
+  const data = new Uint8Array(size * size);
+  for (let y = 0; y < size; y++) {
+    data.set(bytes.subarray(y * size, (y + 1) * size), (size - 1 - y) * size);
+  }
+  return {data, width: size, height: size};
+}
+
+/**
+ * Accept header asking a terrain server for the quantized-mesh extensions to decode,
+ * `octvertexnormals` and `watermask`. Servers leave out the extensions that are not requested.
+ *
+ * @param {object} [options] loader options
+ * @returns {object} request headers, to pass as `fetch.headers`
+ */
+export function getQuantizedMeshRequestHeaders(options = {}) {
+  const {vertexNormals, waterMask} = options['quantized-mesh'] || {};
+  const extensions = [];
+  if (vertexNormals) {
+    extensions.push('octvertexnormals');
+  }
+  if (waterMask) {
+    extensions.push('watermask');
+  }
+  const accept =
+    extensions.length > 0
+      ? `application/vnd.quantized-mesh;extensions=${extensions.join('-')}`
+      : 'application/vnd.quantized-mesh';
+  return {Accept: `${accept},application/octet-stream;q=0.9,*/*;q=0.01`};
+}
+
 function getTileMesh(arrayBuffer, options) {
   if (!arrayBuffer) {
     return null;
   }
-  const {bounds} = options;
-  // Don't parse edge indices or format extensions
-  const {header, vertexData, triangleIndices} = decode(arrayBuffer, DECODING_STEPS.triangleIndices);
-  // TODO: use skirt information from file
-  const attributes = getMeshAttributes(vertexData, header, bounds);
+  const {bounds, cartographicBounds, skirtHeight, vertexNormals, waterMask} = options;
+  const {
+    header,
+    vertexData,
+    triangleIndices,
+    westIndices,
+    southIndices,
+    eastIndices,
+    northIndices,
+    extensions
+  } = decode(arrayBuffer);
+  const edgeIndices = {westIndices, southIndices, eastIndices, northIndices};
+  let attributes = getMeshAttributes(vertexData, header, bounds);
+  // Extensions are decoded when requested, like in the request headers
+  if (vertexNormals && extensions.vertexNormals) {
+    attributes.NORMAL = {
+      // The frame of the normals is found in longitude/latitude, whatever the space of bounds
+      value: decodeVertexNormals(
+        extensions.vertexNormals,
+        vertexData,
+        cartographicBounds || bounds || [0, 0, 1, 1]
+      ),
+      size: 3
+    };
+  }
+
+  // Bounding box of the surface itself, skirts hang below it. Vertices span the whole tile
+  const [minX, minY, maxX, maxY] = bounds || [0, 0, 1, 1];
+  const boundingBox = [
+    [minX, minY, header.minHeight],
+    [maxX, maxY, header.maxHeight]
+  ];
+
+  let triangles = triangleIndices;
+  if (skirtHeight > 0) {
+    const outsideEdges = getOutsideEdgesFromIndices(
+      edgeIndices,
+      triangleIndices,
+      attributes.POSITION.value
+    );
+    ({attributes, triangles} = addSkirt(attributes, triangleIndices, skirtHeight, outsideEdges));
+  }
 
   return {
     // Data return by this loader implementation
     loaderData: {
-      header: {}
+      header
     },
     header: {
       // @ts-ignore
-      vertexCount: triangleIndices.length,
-      // TODO: Find bounding box from header, instead of doing extra pass over
-      // vertices.
-      boundingBox: getMeshBoundingBox(attributes)
+      vertexCount: triangles.length,
+      boundingBox,
+      // In Earth-centered, Earth-fixed coordinates, meters
+      boundingSphere: {
+        center: [
+          header.boundingSphereCenterX,
+          header.boundingSphereCenterY,
+          header.boundingSphereCenterZ
+        ],
+        radius: header.boundingSphereRadius
+      },
+      // In the ellipsoid-scaled frame, the tile is below the horizon when this point is
+      horizonOcclusionPoint: [
+        header.horizonOcclusionPointX,
+        header.horizonOcclusionPointY,
+        header.horizonOcclusionPointZ
+      ]
     },
     mode: 4, // TRIANGLES
-    indices: {value: triangleIndices, size: 1},
-    attributes
+    indices: {value: triangles, size: 1},
+    attributes,
+    // Vertices on the west, south, east and north borders, skirts excluded
+    edgeIndices,
+    waterMask: waterMask && extensions.waterMask ? decodeWaterMask(extensions.waterMask) : null
   };
 }
 
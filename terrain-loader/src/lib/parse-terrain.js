@@ -1,40 +1,72 @@
-import {getMeshBoundingBox} from '@loaders.gl/loader-utils';
+import {concatenateChunksAsync, getMeshBoundingBox} from '@loaders.gl/loader-utils';
 import Martini from '@mapbox/martini';
 import Delatin from './delatin';
+import {decodeGeoTiff, isGeoTiff} from './decode-geotiff';
+import {getElevationDecoder} from './elevation-decoders';
+import {getBorderPixels, getEdgeIndices, setBorderElevations} from './helpers/borders';
+import {getBreaklinePixels} from './helpers/breaklines';
+import {getContours} from './helpers/contours';
+import {createFittedMartiniTile, isMartiniSize} from './helpers/martini-fit';
+import {getElevationStats, getMeshError} from './helpers/mesh-stats';
+import {getCellSize, getVertexNormals} from './helpers/normals';
+import {fillNoData, getNoDataMask, removeNoDataTriangles} from './helpers/no-data';
+import {addSkirt, getOutsideEdgesFromIndices} from './helpers/skirt';
 
-function getTerrain(imageData, width, height, elevationDecoder, tesselator) {
-  const {rScaler, bScaler, gScaler, offset} = elevationDecoder;
+function getTerrain(terrainImage, elevationDecoder) {
+  const {data, width, height} = terrainImage;
 
   // From Martini demo
   // https://observablehq.com/@mourner/martin-real-time-rtin-terrain-mesh
   const terrain = new Float32Array((width + 1) * (height + 1));
-  // decode terrain values
-  for (let i = 0, y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++, i++) {
-      const k = i * 4;
-      const r = imageData[k + 0];
-      const g = imageData[k + 1];
-      const b = imageData[k + 2];
-      terrain[i + y] = r * rScaler + g * gScaler + b * bScaler + offset; // * default decoder
-      // terrain[i + y] = (r * 256 + g + b / 256) - 32768 // * custom decoder
-    }
-  }
 
-  if (tesselator === 'martini') {
-    // backfill bottom border
-    for (let i = (width + 1) * width, x = 0; x < width; x++, i++) {
-      terrain[i] = terrain[i - width - 1];
+  if (isElevationRaster(terrainImage)) {
+    // elevation values, e.g. from a GeoTIFF DEM
+    for (let i = 0, y = 0; y < height; y++) {
+      terrain.set(data.subarray(i, i + width), i + y);
+      i += width;
     }
-    // backfill right border
-    for (let i = height, y = 0; y < height + 1; y++, i += height + 1) {
-      terrain[i] = terrain[i - 1];
+  } else if (typeof elevationDecoder === 'function') {
+    // non-linear decoder
+    for (let i = 0, y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i++) {
+        const k = i * 4;
+        terrain[i + y] = elevationDecoder(data[k + 0], data[k + 1], data[k + 2], data[k + 3]);
+      }
     }
+  } else {
+    const {rScaler, bScaler, gScaler, offset} = elevationDecoder;
+    // decode terrain values
+    for (let i = 0, y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++, i++) {
+        const k = i * 4;
+        const r = data[k + 0];
+        const g = data[k + 1];
+        const b = data[k + 2];
+        terrain[i + y] = r * rScaler + g * gScaler + b * bScaler + offset; // * default decoder
+        // terrain[i + y] = (r * 256 + g + b / 256) - 32768 // * custom decoder
+      }
+    }
+  }
+
+  const gridSize = width + 1;
+  // backfill bottom border
+  for (let i = gridSize * height, x = 0; x < width; x++, i++) {
+    terrain[i] = terrain[i - gridSize];
+  }
+  // backfill right border
+  for (let i = width, y = 0; y < height + 1; y++, i += gridSize) {
+    terrain[i] = terrain[i - 1];
   }
 
   return terrain;
 }
 
-function getMeshAttributes(vertices, terrain, width, height, bounds) {
+// Rasters hold one elevation value per pixel, images hold RGBA values
+function isElevationRaster({data, width, height}) {
+  return data.length === width * height;
+}
+
+function getMeshAttributes(vertices, terrain, width, height, bounds, heights) {
   const gridSize = width + 1;
   const numOfVerticies = vertices.length / 2;
   // vec3. x, y in pixels, z in meters
@@ -53,7 +85,8 @@ function getMeshAttributes(vertices, terrain, width, height, bounds) {
 
     positions[3 * i + 0] = x * xScale + minX;
     positions[3 * i + 1] = -y * yScale + maxY;
-    positions[3 * i + 2] = terrain[pixelIdx];
+    // Vertices mapped back from a fitted Martini grid carry their own heights
+    positions[3 * i + 2] = heights ? heights[i] : terrain[pixelIdx];
 
     texCoords[2 * i + 0] = x / width;
     texCoords[2 * i + 1] = y / height;
@@ -62,14 +95,17 @@ function getMeshAttributes(vertices, terrain, width, height, bounds) {
   return {
     POSITION: {value: positions, size: 3},
     TEXCOORD_0: {value: texCoords, size: 2}
-    // NORMAL: {}, - optional, but creates the high poly look with lighting
+    // NORMAL is added by getMesh when terrain.computeNormals is set
   };
 }
 
 /**
  * Returns generated mesh object from image data
  *
- * @param {object} terrainImage terrain image data
+ * With an array of meshMaxError values the terrain is decoded and tesselated once, and the
+ * mesh of the first value is returned with a `lods` array holding the mesh of every value.
+ *
+ * @param {object} terrainImage terrain image data, RGBA pixels or an elevation raster
  * @param {object} terrainOptions terrain options
  * @returns mesh object
  */
@@ -77,90 +113,404 @@ export function getMesh(terrainImage, terrainOptions) {
   if (terrainImage === null) {
     return null;
   }
-  const {meshMaxError, bounds, elevationDecoder} = terrainOptions;
+  const {meshMaxError, martiniFit} = terrainOptions;
+  const meshMaxErrors = Array.isArray(meshMaxError) ? meshMaxError : [meshMaxError];
+  if (meshMaxErrors.length === 0) {
+    throw new Error('meshMaxError must hold at least one value');
+  }
 
-  const {data, width, height} = terrainImage;
+  const terrainData = decodeTerrain(terrainImage, terrainOptions);
+  const {terrain, width, height, tesselator} = terrainData;
 
-  let terrain;
-  let mesh;
-  switch (terrainOptions.tesselator) {
-    case 'martini':
-      terrain = getTerrain(data, width, height, elevationDecoder, terrainOptions.tesselator);
-      mesh = getMartiniTileMesh(meshMaxError, width, terrain);
-      break;
-    case 'delatin':
-      terrain = getTerrain(data, width, height, elevationDecoder, terrainOptions.tesselator);
-      mesh = getDelatinTileMesh(meshMaxError, width, height, terrain);
-      break;
-    // auto
-    default:
-      if (width === height && !(height & (width - 1))) {
-        terrain = getTerrain(data, width, height, elevationDecoder, 'martini');
-        mesh = getMartiniTileMesh(meshMaxError, width, terrain);
-      } else {
-        terrain = getTerrain(data, width, height, elevationDecoder, 'delatin');
-        mesh = getDelatinTileMesh(meshMaxError, width, height, terrain);
-      }
-      break;
+  const tileMeshes =
+    tesselator === 'martini'
+      ? getMartiniTileMeshes(meshMaxErrors, width, height, terrain, martiniFit || 'pad')
+      : getDelatinTileMeshes(meshMaxErrors, terrainData, terrainOptions);
+
+  const meshes = tileMeshes.map((tileMesh, i) =>
+    getLevelMesh(terrainData, tileMesh, {...terrainOptions, meshMaxError: meshMaxErrors[i]})
+  );
+
+  if (!Array.isArray(meshMaxError)) {
+    return meshes[0];
+  }
+  return {...meshes[0], lods: meshes};
+}
+
+/**
+ * Generates meshes of increasing detail from image data, refining a single Delatin
+ * triangulation. A mesh is built after every `pointsPerBatch` inserted points, the last one
+ * meets meshMaxError or meshBudget. Stopping the iteration stops the refinement.
+ *
+ * @param {object} terrainImage terrain image data, RGBA pixels or an elevation raster
+ * @param {object} terrainOptions terrain options
+ * @returns {Generator<object>} mesh objects
+ */
+export function* getMeshBatches(terrainImage, terrainOptions) {
+  const {meshMaxError, meshBudget, pointsPerBatch} = terrainOptions;
+  if (Array.isArray(meshMaxError)) {
+    throw new Error('meshMaxError levels are not supported in batches');
+  }
+
+  const terrainData = decodeTerrain(terrainImage, terrainOptions, true);
+
+  let tesselationTime = 0;
+  let start = now();
+  const tin = createDelatin(terrainData, terrainOptions);
+  const refinement = tin.runIncremental({...meshBudget, maxError: meshMaxError}, pointsPerBatch);
+
+  while (!refinement.next().done) {
+    tesselationTime += now() - start;
+    yield getLevelMesh(terrainData, getDelatinTileMesh(tin, tesselationTime), terrainOptions);
+    start = now();
+  }
+}
+
+/**
+ * Decode the elevations and pick the tesselator
+ *
+ * @param {object} terrainImage terrain image data, RGBA pixels or an elevation raster
+ * @param {object} terrainOptions terrain options
+ * @param {boolean} [isIncremental] only Delatin refines incrementally
+ * @returns {object} elevation grid of (width + 1) * (height + 1) samples, with its nodata mask,
+ *   statistics and decoding time, and the tesselator
+ */
+function decodeTerrain(terrainImage, terrainOptions, isIncremental = false) {
+  const {elevationDecoder, borderElevations, noDataValue, noDataStrategy, martiniFit} =
+    terrainOptions;
+  const {width, height} = terrainImage;
+
+  const decodeStart = now();
+  const terrain = getTerrain(terrainImage, getElevationDecoder(elevationDecoder));
+  if (borderElevations) {
+    // Shared samples of the neighbours, so that tiles meet at the same elevations
+    setBorderElevations(terrain, borderElevations, width, height);
+  }
+
+  // Tesselators only see valid elevations, holes are cut afterwards
+  const noDataMask = getNoDataMask(terrain, noDataValue);
+  const elevationStats = getElevationStats(terrain, width, height, noDataMask);
+  if (noDataMask) {
+    fillNoData(terrain, noDataMask, width + 1, noDataStrategy);
+  }
+  const decodeTime = now() - decodeStart;
+  const heightMap = terrainOptions.heightMap
+    ? getHeightMap(terrain, width, height, noDataMask, terrainOptions)
+    : null;
+  const contours = terrainOptions.contours
+    ? getContours(terrain, width, height, {
+        ...terrainOptions.contours,
+        bounds: terrainOptions.bounds,
+        // Filled samples are part of the surface, holes are not
+        noDataMask: noDataStrategy === 'hole' ? noDataMask : null
+      })
+    : null;
+
+  let tesselator = terrainOptions.tesselator;
+  const delatinFeature = getDelatinOnlyFeature(terrainOptions, isIncremental);
+  if (tesselator !== 'martini' && tesselator !== 'delatin') {
+    // auto, only Delatin can stop on a budget, follow breaklines or refine incrementally
+    tesselator =
+      !delatinFeature && (isMartiniSize(width, height) || martiniFit) ? 'martini' : 'delatin';
+  }
+  if (tesselator === 'martini' && delatinFeature) {
+    throw new Error(`${delatinFeature} only supported by the delatin tesselator`);
+  }
+
+  return {
+    terrain,
+    width,
+    height,
+    noDataMask,
+    elevationStats,
+    decodeTime,
+    tesselator,
+    heightMap,
+    contours
+  };
+}
+
+// Elevation grid returned with the meshes, to query elevations. Samples of holes are NaN
+function getHeightMap(terrain, width, height, noDataMask, {bounds, noDataStrategy}) {
+  let data = terrain;
+  if (noDataMask && noDataStrategy === 'hole') {
+    data = terrain.map((value, i) => (noDataMask[i] ? NaN : value));
+  }
+  return {data, width: width + 1, height: height + 1, bounds: bounds || [0, 0, width, height]};
+}
+
+// Name of the first requested feature Martini cannot provide, null if there is none
+function getDelatinOnlyFeature(
+  {meshBudget, breaklines, borderSpacing, borderVertices},
+  isIncremental
+) {
+  if (meshBudget) {
+    return 'meshBudget is';
+  }
+  if (breaklines && breaklines.length > 0) {
+    return 'breaklines are';
+  }
+  if (borderSpacing || borderVertices) {
+    return 'Locked borders are';
+  }
+  if (isIncremental) {
+    return 'Meshes in batches are';
+  }
+  return null;
+}
+
+/**
+ * Build the mesh object of one level of detail
+ *
+ * @param {object} terrainData decoded terrain shared by all levels
+ * @param {object} tileMesh vertices and triangles from the tesselator
+ * @param {object} terrainOptions terrain options, with the meshMaxError of this level
+ * @returns mesh object
+ */
+function getLevelMesh(terrainData, tileMesh, terrainOptions) {
+  const {
+    terrain,
+    width,
+    height,
+    noDataMask,
+    elevationStats,
+    decodeTime,
+    tesselator,
+    heightMap,
+    contours
+  } = terrainData;
+  const {meshMaxError, bounds, computeNormals, noDataStrategy} = terrainOptions;
+
+  const {vertices, heights, tesselationTime} = tileMesh;
+  let {triangles} = tileMesh;
+  if (noDataMask && noDataStrategy === 'hole') {
+    triangles = removeNoDataTriangles(vertices, triangles, noDataMask, width + 1);
+  }
+  let attributes = getMeshAttributes(vertices, terrain, width, height, bounds, heights);
+
+  // Delatin tracks its own error, Martini's is measured on the final mesh
+  const {maxError, rmsd} =
+    tesselator === 'delatin'
+      ? tileMesh
+      : getMeshError(vertices, triangles, attributes.POSITION.value, terrain, width, height);
+
+  if (computeNormals) {
+    const normals = getVertexNormals({
+      vertices,
+      triangles,
+      positions: attributes.POSITION.value,
+      terrain,
+      width,
+      height,
+      cellSize:
+        terrainOptions.cellSize ||
+        getCellSize(terrainOptions.cartographicBounds || bounds, width, height),
+      borderElevations: terrainOptions.borderElevations,
+      paddingElevations: terrainOptions.paddingElevations
+    });
+    attributes.NORMAL = {value: normals, size: 3};
   }
 
-  const {vertices, triangles} = mesh;
-  const attributes = getMeshAttributes(vertices, terrain, width, height, bounds);
+  // Bounding box and edges of the surface itself, skirts hang below it
+  const boundingBox = getMeshBoundingBox(attributes);
+  const edgeIndices = getEdgeIndices(vertices, triangles, width, height);
+
+  const skirtHeight = getSkirtHeight(terrainOptions.skirtHeight, meshMaxError);
+  if (skirtHeight > 0) {
+    // Along the tile borders only, nodata holes have no neighbouring tile to hide a crack with
+    const outsideEdges = getOutsideEdgesFromIndices(
+      edgeIndices,
+      triangles,
+      attributes.POSITION.value
+    );
+    ({attributes, triangles} = addSkirt(attributes, triangles, skirtHeight, outsideEdges));
+  }
 
   return {
     // Data return by this loader implementation
     loaderData: {
-      header: {}
+      header: {
+        tesselator,
+        meshMaxError,
+        vertexCount: attributes.POSITION.value.length / 3,
+        triangleCount: triangles.length / 3,
+        ...elevationStats,
+        maxError,
+        rmsd,
+        // Milliseconds
+        decodeTime,
+        tesselationTime
+      }
     },
     header: {
-      vertexCount: triangles.length,
-      boundingBox: getMeshBoundingBox(attributes)
+      vertexCount: attributes.POSITION.value.length / 3,
+      boundingBox
     },
     mode: 4, // TRIANGLES
     indices: {value: Uint32Array.from(triangles), size: 1},
-    attributes
+    attributes,
+    // Vertices on the west, south, east and north borders, as in quantized-mesh
+    edgeIndices,
+    // Elevation grid shared by the levels of detail, with terrain.heightMap
+    heightMap,
+    // Contour lines of the elevation grid, with terrain.contours
+    contours
   };
 }
 
 /**
- * Get Martini generated vertices and triangles
+ * Resolve the skirt height option to meters
  *
+ * @param {number | {errorScale: number}} skirtHeight fixed height in meters,
+ *   or a multiple of meshMaxError
  * @param {number} meshMaxError threshold for simplifying mesh
+ * @returns {number} skirt height in meters
+ */
+function getSkirtHeight(skirtHeight, meshMaxError) {
+  if (skirtHeight && typeof skirtHeight === 'object') {
+    return skirtHeight.errorScale * meshMaxError;
+  }
+  return skirtHeight || 0;
+}
+
+/**
+ * Get Martini generated vertices and triangles, one mesh per error threshold from a single tile
+ *
+ * @param {number[]} meshMaxErrors thresholds for simplifying mesh
  * @param {number} width width of the input data
+ * @param {number} height height of the input data
  * @param {number[] | Float32Array} terrain elevation data
- * @returns {{vertices: Uint16Array, triangles: Uint32Array}} vertices and triangles data
+ * @param {string} [martiniFit] 'pad' or 'resample', how to fit images that are not
+ *   square with a power of two size into the Martini grid
+ * @returns {{vertices: Uint16Array | Float64Array, triangles: Uint32Array, heights?: Float32Array,
+ *   tesselationTime: number}[]} vertices and triangles data, and vertex heights for fitted images
  */
-function getMartiniTileMesh(meshMaxError, width, terrain) {
-  const gridSize = width + 1;
-  const martini = new Martini(gridSize);
-  const tile = martini.createTile(terrain);
-  const {vertices, triangles} = tile.getMesh(meshMaxError);
+function getMartiniTileMeshes(meshMaxErrors, width, height, terrain, martiniFit) {
+  const tileStart = now();
+  const tile = isMartiniSize(width, height)
+    ? new Martini(width + 1).createTile(terrain)
+    : createFittedMartiniTile(width, height, terrain, martiniFit);
+  const tileTime = now() - tileStart;
 
-  return {vertices, triangles};
+  return meshMaxErrors.map((meshMaxError) => {
+    const meshStart = now();
+    const mesh = tile.getMesh(meshMaxError);
+    return {...mesh, tesselationTime: tileTime + now() - meshStart};
+  });
 }
 
 /**
- * Get Delatin generated vertices and triangles
+ * Get Delatin generated vertices and triangles, one mesh per error threshold.
+ * A single triangulation is refined from the coarsest threshold down to the finest.
  *
- * @param {number} meshMaxError threshold for simplifying mesh
- * @param {number} width width of the input data array
- * @param {number} height height of the input data array
- * @param {number[] | Float32Array} terrain elevation data
- * @returns {{vertices: number[], triangles: number[]}} vertices and triangles data
+ * @param {number[]} meshMaxErrors thresholds for simplifying mesh
+ * @param {object} terrainData decoded terrain
+ * @param {object} terrainOptions terrain options, with the meshBudget to stop refining before
+ *   exceeding either of its limits, even if the threshold is not reached
+ * @returns {{vertices: number[], triangles: number[], maxError: number, rmsd: number,
+ *   tesselationTime: number}[]} vertices and triangles data, with the achieved max error and
+ *   root-mean-square deviation
  */
-function getDelatinTileMesh(meshMaxError, width, height, terrain) {
+function getDelatinTileMeshes(meshMaxErrors, terrainData, terrainOptions) {
+  const {meshBudget} = terrainOptions;
+  const start = now();
+  const tin = createDelatin(terrainData, terrainOptions);
+  const order = meshMaxErrors.map((_, i) => i).sort((a, b) => meshMaxErrors[b] - meshMaxErrors[a]);
+
+  const meshes = [];
+  for (const i of order) {
+    tin.run({...meshBudget, maxError: meshMaxErrors[i]});
+    meshes[i] = getDelatinTileMesh(tin, now() - start);
+  }
+  return meshes;
+}
+
+// Delatin triangulation of the terrain, with its locked borders, constrained to follow the breaklines
+function createDelatin({terrain, width, height}, terrainOptions) {
+  const {breaklines, borderSpacing, borderVertices, bounds} = terrainOptions;
   const tin = new Delatin(terrain, width + 1, height + 1);
-  tin.run(meshMaxError);
-  const {coords, triangles} = tin;
-  const vertices = coords;
-  return {vertices, triangles};
+  if (borderSpacing || borderVertices) {
+    tin.lockBorders(getBorderPixels(borderSpacing, borderVertices, width, height, bounds));
+  }
+  if (breaklines && breaklines.length > 0) {
+    tin.addConstraintEdges(getBreaklinePixels(breaklines, width, height, bounds));
+  }
+  return tin;
+}
+
+// Snapshot of the current Delatin mesh, refinement may go on afterwards
+function getDelatinTileMesh(tin, tesselationTime) {
+  return {
+    vertices: tin.coords.slice(),
+    triangles: tin.triangles.slice(),
+    maxError: tin.getMaxError() || 0,
+    rmsd: tin.getRMSD(),
+    tesselationTime
+  };
+}
+
+function now() {
+  return typeof performance === 'undefined' ? Date.now() : performance.now();
+}
+
+// The top level mesh shares its header with the first level of detail
+function addParseTime(mesh, parseTime) {
+  for (const level of mesh.lods || [mesh]) {
+    level.loaderData.header.decodeTime += parseTime;
+  }
+}
+
+function isNil(value) {
+  return value === null || value === undefined;
 }
 
 export default async function loadTerrain(arrayBuffer, options, context) {
+  const {image, terrainOptions, parseTime} = await parseTerrainImage(arrayBuffer, options, context);
+
+  // Extend function to support additional mesh generation options (square grid or delatin)
+  const mesh = getMesh(image, terrainOptions);
+  if (mesh) {
+    addParseTime(mesh, parseTime);
+  }
+  return mesh;
+}
+
+export async function* loadTerrainInBatches(asyncIterator, options, context) {
+  const arrayBuffer = await concatenateChunksAsync(asyncIterator);
+  const {image, terrainOptions, parseTime} = await parseTerrainImage(arrayBuffer, options, context);
+  if (image === null) {
+    return;
+  }
+  for (const mesh of getMeshBatches(image, terrainOptions)) {
+    addParseTime(mesh, parseTime);
+    yield mesh;
+  }
+}
+
+// Decode a GeoTIFF raster, with the options from its georeferencing, or an image
+async function parseTerrainImage(arrayBuffer, options, context) {
+  const parseStart = now();
+  if (isGeoTiff(arrayBuffer)) {
+    const raster = await decodeGeoTiff(arrayBuffer);
+    if (!options.terrain.bounds && raster.projection) {
+      throw new Error(
+        `GeoTIFF in projected CRS EPSG:${raster.projection} needs terrain.bounds in longitude/latitude`
+      );
+    }
+    const terrainOptions = {
+      ...options.terrain,
+      // georeferencing of the file, unless overridden
+      bounds: options.terrain.bounds || raster.bounds,
+      cellSize: options.terrain.cellSize || raster.cellSize,
+      noDataValue: isNil(options.terrain.noDataValue)
+        ? raster.noDataValue
+        : options.terrain.noDataValue
+    };
+    return {image: raster, terrainOptions, parseTime: now() - parseStart};
+  }
+
   options.image = options.image || {};
   options.image.type = 'data';
   const image = await context.parse(arrayBuffer, options, options.baseUri);
-
-  // Extend function to support additional mesh generation options (square grid or delatin)
-  return getMesh(image, options.terrain);
+  return {image, terrainOptions: options.terrain, parseTime: now() - parseStart};
 }
@@ -17,7 +17,11 @@ export const QuantizedMeshWorkerLoader = {
   mimeTypes: ['application/vnd.quantized-mesh'],
   options: {
     'quantized-mesh': {
-      bounds: [0, 0, 1, 1]
+      bounds: [0, 0, 1, 1],
+      cartographicBounds: null,
+      vertexNormals: false,
+      waterMask: false,
+      skirtHeight: 0
     }
   }
 };
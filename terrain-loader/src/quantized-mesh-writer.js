@@ -0,0 +1,31 @@
+/** @typedef {import('@loaders.gl/loader-utils').WriterObject} WriterObject */
+import encodeQuantizedMesh from './lib/encode-quantized-mesh';
+import {VERSION} from './lib/utils/version';
+
+const DEFAULT_OPTIONS = {
+  bounds: null,
+  vertexNormals: false
+};
+
+function encodeSync(mesh, options = {}) {
+  return encodeQuantizedMesh(mesh, {...DEFAULT_OPTIONS, ...options['quantized-mesh']});
+}
+
+/**
+ * Writer for quantized meshes
+ * @type {WriterObject}
+ */
+export const QuantizedMeshWriter = {
+  name: 'Quantized Mesh',
+  id: 'quantized-mesh',
+  module: 'terrain',
+  version: VERSION,
+  extensions: ['terrain'],
+  mimeTypes: ['application/vnd.quantized-mesh'],
+  binary: true,
+  encodeSync,
+  encode: async (mesh, options) => encodeSync(mesh, options),
+  options: {
+    'quantized-mesh': DEFAULT_OPTIONS
+  }
+};
@@ -0,0 +1,32 @@
+/** @typedef {import('@loaders.gl/loader-utils').WriterObject} WriterObject */
+import encodeTerrainGLB from './lib/encode-terrain-gltf';
+import {VERSION} from './lib/utils/version';
+
+const DEFAULT_OPTIONS = {
+  bounds: null,
+  elevationDecoder: null,
+  texture: null
+};
+
+function encodeSync(mesh, options = {}) {
+  return encodeTerrainGLB(mesh, {...DEFAULT_OPTIONS, ...options['terrain-gltf']});
+}
+
+/**
+ * Writer for terrain meshes, as GLB files
+ * @type {WriterObject}
+ */
+export const TerrainGLTFWriter = {
+  name: 'Terrain glTF',
+  id: 'terrain-gltf',
+  module: 'terrain',
+  version: VERSION,
+  extensions: ['glb'],
+  mimeTypes: ['model/gltf-binary'],
+  binary: true,
+  encodeSync,
+  encode: async (mesh, options) => encodeSync(mesh, options),
+  options: {
+    'terrain-gltf': DEFAULT_OPTIONS
+  }
+};
@@ -1,6 +1,6 @@
 /** @typedef {import('@loaders.gl/loader-utils').WorkerLoaderObject} WorkerLoaderObject */
 /** @typedef {import('@loaders.gl/loader-utils').LoaderObject} LoaderObject */
-import loadTerrain from './lib/parse-terrain';
+import loadTerrain, {loadTerrainInBatches} from './lib/parse-terrain';
 import {VERSION} from './lib/utils/version';
 
 /**
@@ -13,13 +13,29 @@ export const TerrainWorkerLoader = {
   module: 'terrain',
   version: VERSION,
   worker: true,
-  extensions: ['png', 'pngraw'],
-  mimeTypes: ['image/png'],
+  extensions: ['png', 'pngraw', 'tif', 'tiff'],
+  mimeTypes: ['image/png', 'image/tiff'],
   options: {
     terrain: {
       tesselator: 'auto',
+      martiniFit: null,
       bounds: null,
+      cartographicBounds: null,
       meshMaxError: 10,
+      meshBudget: null,
+      breaklines: null,
+      borderSpacing: null,
+      borderVertices: null,
+      borderElevations: null,
+      paddingElevations: null,
+      pointsPerBatch: 5000,
+      computeNormals: false,
+      heightMap: false,
+      contours: null,
+      cellSize: null,
+      skirtHeight: 0,
+      noDataValue: null,
+      noDataStrategy: 'fill-nearest',
       elevationDecoder: {
         rScaler: 1,
         gScaler: 0,
@@ -36,5 +52,6 @@ export const TerrainWorkerLoader = {
  */
 export const TerrainLoader = {
   ...TerrainWorkerLoader,
-  parse: loadTerrain
+  parse: loadTerrain,
+  parseInBatches: loadTerrainInBatches
 };
@@ -1,4 +1,4 @@
-import {createLoaderWorker} from '@loaders.gl/loader-utils';
+import {createWorker} from '@loaders.gl/loader-utils';
 import {QuantizedMeshLoader} from '../quantized-mesh-loader';
 
-createLoaderWorker(QuantizedMeshLoader);
+createWorker(QuantizedMeshLoader);
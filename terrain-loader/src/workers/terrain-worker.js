@@ -1,4 +1,4 @@
-import {createLoaderWorker} from '@loaders.gl/loader-utils';
+import {createWorker} from '@loaders.gl/loader-utils';
 import {TerrainLoader} from '../terrain-loader';
 
-createLoaderWorker(TerrainLoader);
+createWorker(TerrainLoader);
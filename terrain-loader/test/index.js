@@ -1,2 +1,10 @@
+// Node: image decoding and file fetch, and the path of the test data in the spec urls
+import '@loaders.gl/polyfills';
+import {_addAliases} from '@loaders.gl/loader-utils';
+import './layer-json-loader.spec';
 import './quantized-mesh-loader.spec';
 import './terrain-loader.spec';
+import './terrain-gltf-writer.spec';
+import './terrain-worker-pool.spec';
+
+_addAliases({'@loaders.gl/terrain/test': __dirname});
@@ -0,0 +1,135 @@
+import {load, parse} from '@loaders.gl/core';
+import test from 'tape-promise/tape';
+import {LayerJsonLoader, QuantizedMeshLoader, getTileUrl, isTileAvailable} from '../src/index';
+import {validateLoader} from './conformance';
+
+const LAYER_JSON = {
+  tilejson: '2.1.0',
+  format: 'quantized-mesh-1.0',
+  version: '1.2.0',
+  scheme: 'tms',
+  tiles: ['{z}/{x}/{y}.terrain?v={version}'],
+  extensions: ['octvertexnormals', 'watermask'],
+  bounds: [-180, -90, 180, 90],
+  available: [
+    [{startX: 0, startY: 0, endX: 1, endY: 0}],
+    [{startX: 0, startY: 0, endX: 3, endY: 1}],
+    [{startX: 4, startY: 2, endX: 5, endY: 3}]
+  ]
+};
+
+test('LayerJsonLoader#loader object', async (t) => {
+  validateLoader(t, LayerJsonLoader, 'LayerJsonLoader');
+  t.end();
+});
+
+test('LayerJsonLoader#parse', async (t) => {
+  const layer = await parse(JSON.stringify(LAYER_JSON), LayerJsonLoader, {
+    'layer-json': {baseUrl: 'https://example.com/terrain/layer.json'}
+  });
+
+  t.deepEqual(
+    layer.tiles,
+    ['https://example.com/terrain/{z}/{x}/{y}.terrain?v=1.2.0'],
+    'templates are resolved against the layer.json url'
+  );
+  t.equal(layer.scheme, 'tms', 'scheme');
+  t.equal(layer.projection, 'EPSG:4326', 'projection defaults to geographic');
+  t.equal(layer.minZoom, 0, 'minZoom');
+  t.equal(layer.maxZoom, 2, 'maxZoom from the available ranges');
+  t.deepEqual(layer.extensions, ['octvertexnormals', 'watermask'], 'extensions');
+  t.deepEqual(layer.bounds, [-180, -90, 180, 90], 'bounds');
+  t.equal(layer.available.length, 3, 'available ranges');
+
+  const noTiles = JSON.stringify({...LAYER_JSON, tiles: []});
+  t.throws(() => LayerJsonLoader.parseTextSync(noTiles), /no tiles/, 'throws without tiles');
+  t.end();
+});
+
+test('LayerJsonLoader#isTileAvailable', async (t) => {
+  // Geographic tileset: level 2 has 8 columns and 4 rows of 45 degrees, and the available TMS
+  // rows 2 and 3 of columns 4 and 5 are the tiles between 0 and 90 degrees of latitude and longitude
+  const layer = LayerJsonLoader.parseTextSync(JSON.stringify(LAYER_JSON));
+
+  t.deepEqual(layer.tiles, ['{z}/{x}/{y}.terrain?v=1.2.0'], 'templates stay relative without url');
+  t.ok(isTileAvailable(layer, {x: 0, y: 0, z: 0}), 'the world tile covers both level 0 tiles');
+
+  // Web Mercator tiles of level 3 take level 2 of the geographic grid
+  t.ok(isTileAvailable(layer, {x: 4, y: 0, z: 3}), 'northern tile of the range');
+  t.ok(isTileAvailable(layer, {x: 5, y: 3, z: 3}), 'tile above the equator');
+  t.notOk(isTileAvailable(layer, {x: 4, y: 4, z: 3}), 'tile below the equator');
+  t.notOk(isTileAvailable(layer, {x: 6, y: 0, z: 3}), 'column outside of the range');
+  t.notOk(isTileAvailable(layer, {x: 8, y: 0, z: 4}), 'past maxZoom');
+
+  const xyzLayer = {...layer, scheme: 'xyz'};
+  t.ok(isTileAvailable(xyzLayer, {x: 4, y: 4, z: 3}), 'xyz rows are counted from the north');
+  t.notOk(isTileAvailable(xyzLayer, {x: 4, y: 3, z: 3}), 'xyz rows are not flipped');
+
+  const metadataLayer = LayerJsonLoader.parseTextSync(
+    JSON.stringify({...LAYER_JSON, metadataAvailability: 2, bounds: [0, 0, 180, 90]})
+  );
+  t.equal(metadataLayer.maxZoom, Infinity, 'no maxZoom with availability metadata');
+  t.ok(isTileAvailable(metadataLayer, {x: 12, y: 2, z: 4}), 'levels past the ranges');
+  t.notOk(isTileAvailable(metadataLayer, {x: 3, y: 2, z: 4}), 'outside of the bounds');
+
+  // Web Mercator tileset: the grid of TileLayer, TMS rows counted from the south
+  const mercatorLayer = LayerJsonLoader.parseTextSync(
+    JSON.stringify({
+      ...LAYER_JSON,
+      projection: 'EPSG:3857',
+      available: [
+        [{startX: 0, startY: 0, endX: 0, endY: 0}],
+        [{startX: 1, startY: 0, endX: 1, endY: 0}]
+      ]
+    })
+  );
+  t.ok(isTileAvailable(mercatorLayer, {x: 1, y: 1, z: 1}), 'web mercator tile');
+  t.notOk(isTileAvailable(mercatorLayer, {x: 1, y: 0, z: 1}), 'web mercator tms row');
+  t.end();
+});
+
+test('LayerJsonLoader#getTileUrl', async (t) => {
+  const mercatorJson = {
+    ...LAYER_JSON,
+    projection: 'EPSG:3857',
+    scheme: 'xyz',
+    tiles: ['@loaders.gl/terrain/test/data/maptiler_{z}_{x}_{y}.terrain'],
+    available: null
+  };
+  // Web Mercator tile of TileLayer, y counted from the north
+  const tile = {x: 1070, y: 778, z: 10};
+
+  const xyzLayer = LayerJsonLoader.parseTextSync(JSON.stringify(mercatorJson));
+  const url = getTileUrl(xyzLayer, tile);
+  t.equal(url, '@loaders.gl/terrain/test/data/maptiler_10_1070_778.terrain', 'xyz row');
+  const mesh = await load(url, QuantizedMeshLoader);
+  t.ok(mesh.header.vertexCount > 0, 'the tile of the url is fetched');
+
+  const tmsLayer = LayerJsonLoader.parseTextSync(
+    JSON.stringify({
+      ...mercatorJson,
+      scheme: 'tms',
+      tiles: ['@loaders.gl/terrain/test/data/maptiler_{z}_{x}_{y}.terrain']
+    })
+  );
+  // Rows of tms tilesets are counted from the south
+  const northernTile = {x: 1070, y: 2 ** 10 - 1 - 778, z: 10};
+  t.equal(getTileUrl(tmsLayer, northernTile), url, 'tms row is flipped');
+
+  const hosts = LayerJsonLoader.parseTextSync(
+    JSON.stringify({...mercatorJson, tiles: ['a/{z}/{x}/{y}', 'b/{z}/{x}/{y}']})
+  );
+  t.deepEqual(
+    [getTileUrl(hosts, {x: 0, y: 0, z: 1}), getTileUrl(hosts, {x: 1, y: 0, z: 1})],
+    ['b/1/0/0', 'a/1/1/0'],
+    'templates take turns'
+  );
+
+  const geographicLayer = LayerJsonLoader.parseTextSync(JSON.stringify(LAYER_JSON));
+  t.throws(
+    () => getTileUrl(geographicLayer, {x: 0, y: 0, z: 0}),
+    /EPSG:4326 tilesets do not match Web Mercator tiles/,
+    'geographic tilesets are rejected'
+  );
+  t.end();
+});
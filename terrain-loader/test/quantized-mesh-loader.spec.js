@@ -1,8 +1,24 @@
 /* eslint-disable max-len */
 import {load, setLoaderOptions} from '@loaders.gl/core';
-import {QuantizedMeshLoader, QuantizedMeshWorkerLoader} from '@loaders.gl/terrain';
+import {getMeshBoundingBox} from '@loaders.gl/loader-utils';
 import test from 'tape-promise/tape';
-import {validateLoader, validateMeshCategoryData} from './conformance';
+import {
+  QuantizedMeshLoader,
+  QuantizedMeshWorkerLoader,
+  QuantizedMeshWriter,
+  TerrainLoader,
+  getQuantizedMeshRequestHeaders
+} from '../src/index';
+import decode from '../src/lib/decode-quantized-mesh';
+import {
+  cartesianToCartographic,
+  cartographicToCartesian,
+  eastNorthUpToFixedFrame
+} from '../src/lib/helpers/ellipsoid';
+import {octDecode} from '../src/lib/helpers/oct-encoding';
+import {getOutsideEdgesFromTriangles} from '../src/lib/helpers/skirt';
+import {getMesh} from '../src/lib/parse-terrain';
+import {validateLoader, validateMeshCategoryData, validateWriter} from './conformance';
 
 const TILE_WITH_EXTENSIONS_URL = '@loaders.gl/terrain/test/data/tile-with-extensions.terrain';
 
@@ -59,3 +75,401 @@ test('QuantizedMeshWorkerLoader#tile-with-extensions', async (t) => {
 
   t.end();
 });
+
+// Terrain mesh of a 16x16 height map in longitude/latitude degrees
+function makeTerrainMesh(bounds, terrainOptions = {}) {
+  const width = 16;
+  const height = 16;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data[(y * width + x) * 4] = (x - 8) * (x - 8) + y * 4;
+    }
+  }
+  return getMesh(
+    {data, width, height},
+    {...TerrainLoader.options.terrain, bounds, meshMaxError: 1, ...terrainOptions}
+  );
+}
+
+test('QuantizedMeshWriter#writer object', (t) => {
+  validateWriter(t, QuantizedMeshWriter, 'QuantizedMeshWriter');
+  t.end();
+});
+
+test('QuantizedMeshWriter#round trip', async (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds);
+  const arrayBuffer = await QuantizedMeshWriter.encode(mesh, {'quantized-mesh': {bounds}});
+  const data = QuantizedMeshLoader.parseSync(arrayBuffer, {'quantized-mesh': {bounds}});
+  validateMeshCategoryData(t, data);
+
+  t.equal(data.indices.value.length, mesh.indices.value.length, 'triangles are kept');
+  t.equal(
+    data.attributes.POSITION.value.length,
+    mesh.attributes.POSITION.value.length,
+    'vertices are kept'
+  );
+
+  // Triangles keep their order, vertices are reordered by first use
+  const [minZ, maxZ] = [mesh.header.boundingBox[0][2], mesh.header.boundingBox[1][2]];
+  const tolerance = [0.1 / 32767, 0.1 / 32767, (maxZ - minZ) / 32767];
+  let maxError = 0;
+  for (let i = 0; i < mesh.indices.value.length; i++) {
+    const expected = mesh.indices.value[i];
+    const actual = data.indices.value[i];
+    for (let j = 0; j < 3; j++) {
+      const error =
+        Math.abs(
+          data.attributes.POSITION.value[actual * 3 + j] -
+            mesh.attributes.POSITION.value[expected * 3 + j]
+        ) / tolerance[j];
+      maxError = Math.max(maxError, error);
+    }
+  }
+  t.ok(maxError <= 1, 'positions are within the quantization error');
+
+  const {header, vertexData, westIndices, southIndices, eastIndices, northIndices} =
+    decode(arrayBuffer);
+  t.equal(header.minHeight, minZ, 'header minHeight');
+  t.equal(header.maxHeight, maxZ, 'header maxHeight');
+
+  const vertexCount = vertexData.length / 3;
+  const onEdge = (u, v) =>
+    [...Array(vertexCount).keys()].filter(
+      (i) =>
+        (u === null || vertexData[i] === u) && (v === null || vertexData[i + vertexCount] === v)
+    );
+  t.deepEqual(Array.from(westIndices).sort(), onEdge(0, null).sort(), 'west edge indices');
+  t.deepEqual(Array.from(southIndices).sort(), onEdge(null, 0).sort(), 'south edge indices');
+  t.deepEqual(Array.from(eastIndices).sort(), onEdge(32767, null).sort(), 'east edge indices');
+  t.deepEqual(Array.from(northIndices).sort(), onEdge(null, 32767).sort(), 'north edge indices');
+
+  t.end();
+});
+
+test('QuantizedMeshWriter#skirts', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const options = {'quantized-mesh': {bounds}};
+  const mesh = makeTerrainMesh(bounds);
+  const skirted = makeTerrainMesh(bounds, {skirtHeight: 50});
+  t.ok(
+    skirted.indices.value.length > mesh.indices.value.length,
+    'the terrain mesh has skirt triangles'
+  );
+
+  t.deepEqual(
+    new Uint8Array(QuantizedMeshWriter.encodeSync(skirted, options)),
+    new Uint8Array(QuantizedMeshWriter.encodeSync(mesh, options)),
+    'skirt vertices and triangles are not encoded'
+  );
+
+  t.end();
+});
+
+test('QuantizedMeshWriter#header', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds);
+  const {header} = decode(QuantizedMeshWriter.encodeSync(mesh, {'quantized-mesh': {bounds}}));
+
+  const center = [header.centerX, header.centerY, header.centerZ];
+  const sphereCenter = [
+    header.boundingSphereCenterX,
+    header.boundingSphereCenterY,
+    header.boundingSphereCenterZ
+  ];
+  t.ok(Math.abs(Math.hypot(...center) - 6375000) < 5000, 'center is on the ellipsoid');
+  t.ok(
+    Math.hypot(...center.map((value, i) => value - sphereCenter[i])) < header.boundingSphereRadius,
+    'center is inside the bounding sphere'
+  );
+  t.ok(
+    header.boundingSphereRadius > 7000 && header.boundingSphereRadius < 10000,
+    'bounding sphere fits the tile'
+  );
+
+  // Occlusion point lies above the tile, in the ellipsoid-scaled frame
+  const occlusionPoint = [
+    header.horizonOcclusionPointX,
+    header.horizonOcclusionPointY,
+    header.horizonOcclusionPointZ
+  ];
+  const magnitude = Math.hypot(...occlusionPoint);
+  t.ok(magnitude > 1 && magnitude < 1.001, 'horizon occlusion point is just above the ellipsoid');
+  const direction = occlusionPoint.map((value) => value / magnitude);
+  const sphereDirection = sphereCenter.map((value) => value / Math.hypot(...sphereCenter));
+  t.ok(
+    direction.every((value, i) => Math.abs(value - sphereDirection[i]) < 0.01),
+    'horizon occlusion point is above the tile'
+  );
+
+  t.end();
+});
+
+test('QuantizedMeshWriter#vertexNormals', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds, {computeNormals: true});
+  const arrayBuffer = QuantizedMeshWriter.encodeSync(mesh, {
+    'quantized-mesh': {bounds, vertexNormals: true}
+  });
+  const {vertexData, triangleIndices, extensions} = decode(arrayBuffer);
+  const vertexCount = vertexData.length / 3;
+  t.equal(extensions.vertexNormals.length, vertexCount * 2, 'two bytes per vertex');
+
+  let maxAngle = 0;
+  for (let i = 0; i < triangleIndices.length; i++) {
+    const vertex = triangleIndices[i];
+    const original = mesh.indices.value[i];
+    const normal = mesh.attributes.NORMAL.value.subarray(original * 3, original * 3 + 3);
+    const [longitude, latitude] = mesh.attributes.POSITION.value.subarray(original * 3);
+    const expected = eastNorthUpToFixedFrame(Array.from(normal), longitude, latitude);
+    const actual = octDecode(
+      extensions.vertexNormals[vertex * 2],
+      extensions.vertexNormals[vertex * 2 + 1]
+    );
+    const cosAngle = expected.reduce((sum, value, j) => sum + value * actual[j], 0);
+    maxAngle = Math.max(maxAngle, Math.acos(Math.min(cosAngle, 1)));
+  }
+  t.ok(maxAngle < 0.02, 'normals are oct encoded in the Earth-centered frame');
+
+  const withoutNormals = decode(QuantizedMeshWriter.encodeSync(mesh, {}));
+  t.notOk(withoutNormals.extensions.vertexNormals, 'normals are optional');
+
+  t.end();
+});
+
+test('QuantizedMeshLoader#vertexNormals', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds, {computeNormals: true});
+  const options = {'quantized-mesh': {bounds, vertexNormals: true}};
+  const data = QuantizedMeshLoader.parseSync(
+    QuantizedMeshWriter.encodeSync(mesh, options),
+    options
+  );
+  validateMeshCategoryData(t, data);
+
+  t.equal(data.attributes.NORMAL.size, 3, 'NORMAL attribute was found');
+  let maxAngle = 0;
+  for (let i = 0; i < data.indices.value.length; i++) {
+    const vertex = data.indices.value[i];
+    const original = mesh.indices.value[i];
+    const expected = mesh.attributes.NORMAL.value.subarray(original * 3, original * 3 + 3);
+    const actual = data.attributes.NORMAL.value.subarray(vertex * 3, vertex * 3 + 3);
+    const cosAngle = expected.reduce((sum, value, j) => sum + value * actual[j], 0);
+    maxAngle = Math.max(maxAngle, Math.acos(Math.min(cosAngle, 1)));
+  }
+  t.ok(maxAngle < 0.02, 'normals are decoded in the east-north-up frame');
+
+  const unrequested = QuantizedMeshLoader.parseSync(QuantizedMeshWriter.encodeSync(mesh, options), {
+    'quantized-mesh': {bounds}
+  });
+  t.notOk(unrequested.attributes.NORMAL, 'NORMAL needs the vertexNormals option');
+
+  const withoutNormals = QuantizedMeshLoader.parseSync(
+    QuantizedMeshWriter.encodeSync(mesh, {'quantized-mesh': {bounds}}),
+    {'quantized-mesh': {bounds}}
+  );
+  t.notOk(withoutNormals.attributes.NORMAL, 'NORMAL needs the extension');
+
+  t.equal(
+    getQuantizedMeshRequestHeaders(options).Accept.split(',')[0],
+    'application/vnd.quantized-mesh;extensions=octvertexnormals',
+    'requests the extension'
+  );
+  t.equal(
+    getQuantizedMeshRequestHeaders({}).Accept.split(',')[0],
+    'application/vnd.quantized-mesh',
+    'requests no extension by default'
+  );
+
+  t.end();
+});
+
+test('QuantizedMeshLoader#cartographicBounds', (t) => {
+  const cartographicBounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(cartographicBounds, {computeNormals: true});
+  // Encoded as the up direction of each vertex in Earth-centered, Earth-fixed axes
+  const normals = mesh.attributes.NORMAL.value;
+  for (let i = 0; i < normals.length; i += 3) {
+    normals.set([0, 0, 1], i);
+  }
+  const arrayBuffer = QuantizedMeshWriter.encodeSync(mesh, {
+    'quantized-mesh': {bounds: cartographicBounds, vertexNormals: true}
+  });
+
+  // Tiles of a TerrainLayer are fitted into Web Mercator common space
+  const bounds = [418.38, 204.87, 418.45, 204.95];
+  const data = QuantizedMeshLoader.parseSync(arrayBuffer.slice(0), {
+    'quantized-mesh': {bounds, cartographicBounds, vertexNormals: true}
+  });
+  const positions = data.attributes.POSITION.value;
+  t.ok(positions[0] >= bounds[0] && positions[0] <= bounds[2], 'positions are fitted into bounds');
+  let minUp = 1;
+  for (let i = 2; i < data.attributes.NORMAL.value.length; i += 3) {
+    minUp = Math.min(minUp, data.attributes.NORMAL.value[i]);
+  }
+  t.ok(minUp > 0.999, 'normals are found in the frame of cartographicBounds');
+
+  const wrongFrame = QuantizedMeshLoader.parseSync(arrayBuffer, {
+    'quantized-mesh': {bounds, vertexNormals: true}
+  });
+  t.ok(wrongFrame.attributes.NORMAL.value[2] < 0.99, 'bounds are read as degrees otherwise');
+
+  t.end();
+});
+
+test('QuantizedMeshLoader#skirtHeight', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds);
+  const arrayBuffer = QuantizedMeshWriter.encodeSync(mesh, {'quantized-mesh': {bounds}});
+  // Triangle indices are decoded in place, parse a copy
+  const data = QuantizedMeshLoader.parseSync(arrayBuffer.slice(0), {'quantized-mesh': {bounds}});
+  const skirted = QuantizedMeshLoader.parseSync(arrayBuffer, {
+    'quantized-mesh': {bounds, skirtHeight: 50}
+  });
+  validateMeshCategoryData(t, skirted);
+
+  const {westIndices, southIndices, eastIndices, northIndices} = data.edgeIndices;
+  const edgeVertexCount = new Set([
+    ...westIndices,
+    ...southIndices,
+    ...eastIndices,
+    ...northIndices
+  ]).size;
+  const edgeCount =
+    westIndices.length + southIndices.length + eastIndices.length + northIndices.length - 4;
+  const vertexCount = data.attributes.POSITION.value.length / 3;
+
+  t.equal(
+    skirted.attributes.POSITION.value.length / 3,
+    vertexCount + edgeVertexCount,
+    'a skirt vertex per edge vertex'
+  );
+  t.equal(
+    skirted.indices.value.length,
+    data.indices.value.length + edgeCount * 6,
+    'two skirt triangles per edge'
+  );
+  t.deepEqual(
+    skirted.attributes.TEXCOORD_0.value.subarray(0, vertexCount * 2),
+    data.attributes.TEXCOORD_0.value,
+    'tile vertices are kept'
+  );
+
+  const positions = skirted.attributes.POSITION.value;
+  const edgeIndices = Array.from(new Set([...westIndices, ...southIndices]));
+  t.ok(
+    edgeIndices.every((vertex) => {
+      const skirtVertex = positions.findIndex(
+        (value, j) =>
+          j >= vertexCount * 3 &&
+          j % 3 === 0 &&
+          value === positions[vertex * 3] &&
+          positions[j + 1] === positions[vertex * 3 + 1]
+      );
+      return Math.abs(positions[vertex * 3 + 2] - positions[skirtVertex + 2] - 50) < 1e-3;
+    }),
+    'skirt vertices hang skirtHeight below the edge'
+  );
+
+  // Same winding as the edge triangles: skirt faces point outwards like the tile faces point up
+  const outsideEdges = getOutsideEdgesFromTriangles(data.indices.value);
+  t.equal(outsideEdges.length, edgeCount, 'edge indices cover the outline of the tile');
+  const skirtTriangles = Array.from(skirted.indices.value.subarray(data.indices.value.length));
+  t.ok(
+    outsideEdges.every(([a, b]) =>
+      skirtTriangles.some((v, i) => i % 6 === 0 && v === b && skirtTriangles[i + 1] === a)
+    ),
+    'skirts follow the winding of the edge triangles'
+  );
+
+  t.end();
+});
+
+// Append a water mask extension to a quantized mesh tile
+function addWaterMask(arrayBuffer, mask) {
+  const result = new Uint8Array(arrayBuffer.byteLength + 5 + mask.length);
+  result.set(new Uint8Array(arrayBuffer));
+  const view = new DataView(result.buffer);
+  view.setUint8(arrayBuffer.byteLength, 2);
+  view.setUint32(arrayBuffer.byteLength + 1, mask.length, true);
+  result.set(mask, arrayBuffer.byteLength + 5);
+  return result.buffer;
+}
+
+test('QuantizedMeshLoader#waterMask', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const options = {'quantized-mesh': {bounds, waterMask: true}};
+  const arrayBuffer = QuantizedMeshWriter.encodeSync(makeTerrainMesh(bounds), options);
+
+  t.equal(
+    QuantizedMeshLoader.parseSync(arrayBuffer.slice(0), options).waterMask,
+    null,
+    'no water mask without the extension'
+  );
+
+  let {waterMask} = QuantizedMeshLoader.parseSync(addWaterMask(arrayBuffer, [1]), options);
+  t.deepEqual(waterMask, {data: Uint8Array.of(255), width: 1, height: 1}, 'all water tile');
+  t.equal(
+    QuantizedMeshLoader.parseSync(addWaterMask(arrayBuffer, [1]), {'quantized-mesh': {bounds}})
+      .waterMask,
+    null,
+    'no water mask without the waterMask option'
+  );
+
+  // Water on the northern half of the tile
+  const mask = new Uint8Array(256 * 256);
+  mask.fill(255, 0, 128 * 256);
+  ({waterMask} = QuantizedMeshLoader.parseSync(addWaterMask(arrayBuffer, mask), options));
+  t.equal(waterMask.width, 256, 'mask width');
+  t.equal(waterMask.height, 256, 'mask height');
+  t.equal(waterMask.data[0], 0, 'first row is the southern one');
+  t.equal(waterMask.data[255 * 256], 255, 'last row is the northern one');
+
+  t.equal(
+    getQuantizedMeshRequestHeaders(options).Accept.split(',')[0],
+    'application/vnd.quantized-mesh;extensions=watermask',
+    'requests the extension'
+  );
+
+  t.end();
+});
+
+test('QuantizedMeshLoader#bounding volumes', (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const mesh = makeTerrainMesh(bounds);
+  const arrayBuffer = QuantizedMeshWriter.encodeSync(mesh, {'quantized-mesh': {bounds}});
+  const data = QuantizedMeshLoader.parseSync(arrayBuffer, {'quantized-mesh': {bounds}});
+
+  const [min, max] = getMeshBoundingBox(data.attributes);
+  const {boundingBox, boundingSphere, horizonOcclusionPoint} = data.header;
+  // Positions are Float32
+  t.ok(
+    [0, 1].every((i) => Math.abs(boundingBox[0][i] - min[i]) < 1e-5) &&
+      [0, 1].every((i) => Math.abs(boundingBox[1][i] - max[i]) < 1e-5),
+    'bounding box spans the vertices'
+  );
+  t.ok(
+    Math.abs(boundingBox[0][2] - min[2]) < 1e-3 && Math.abs(boundingBox[1][2] - max[2]) < 1e-3,
+    'bounding box heights from the header'
+  );
+
+  const [longitude, latitude] = cartesianToCartographic(boundingSphere.center);
+  t.ok(
+    longitude > bounds[0] && longitude < bounds[2] && latitude > bounds[1] && latitude < bounds[3],
+    'bounding sphere center is above the tile'
+  );
+  t.ok(boundingSphere.radius > 7000 && boundingSphere.radius < 10000, 'bounding sphere radius');
+  t.ok(
+    horizonOcclusionPoint.length === 3 && horizonOcclusionPoint.every(Number.isFinite),
+    'horizon occlusion point'
+  );
+
+  const position = cartographicToCartesian([114.05, 22.05, 500]);
+  const cartographic = cartesianToCartographic(position);
+  t.ok(
+    [114.05, 22.05, 500].every((value, i) => Math.abs(cartographic[i] - value) < 1e-6),
+    'cartesianToCartographic inverts cartographicToCartesian'
+  );
+  t.end();
+});
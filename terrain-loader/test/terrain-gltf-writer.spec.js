@@ -0,0 +1,159 @@
+import test from 'tape-promise/tape';
+import {TerrainGLTFWriter, TerrainLoader} from '../src/index';
+import {getMesh} from '../src/lib/parse-terrain';
+import {validateWriter} from './conformance';
+
+// Grayscale RGBA image where the red channel holds the elevation
+function makeTerrainImage(width, height, getElevation) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const k = (y * width + x) * 4;
+      data[k] = getElevation(x, y);
+      data[k + 3] = 255;
+    }
+  }
+  return {data, width, height};
+}
+
+function parseGLB(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const jsonByteLength = view.getUint32(12, true);
+  const json = JSON.parse(
+    new TextDecoder().decode(new Uint8Array(arrayBuffer, 20, jsonByteLength))
+  );
+  const binaryByteOffset = 20 + jsonByteLength + 8;
+  return {
+    magic: view.getUint32(0, true),
+    version: view.getUint32(4, true),
+    byteLength: view.getUint32(8, true),
+    json,
+    getAccessorData(index) {
+      const accessor = json.accessors[index];
+      const bufferView = json.bufferViews[accessor.bufferView];
+      const TypedArray = accessor.componentType === 5126 ? Float32Array : Uint32Array;
+      const size = {SCALAR: 1, VEC2: 2, VEC3: 3}[accessor.type];
+      return new TypedArray(
+        arrayBuffer,
+        binaryByteOffset + bufferView.byteOffset,
+        accessor.count * size
+      );
+    }
+  };
+}
+
+function getBoundingBox(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let j = 0; j < 3; j++) {
+      min[j] = Math.min(min[j], positions[i + j]);
+      max[j] = Math.max(max[j], positions[i + j]);
+    }
+  }
+  return [min, max];
+}
+
+test('TerrainGLTFWriter#writer object', (t) => {
+  validateWriter(t, TerrainGLTFWriter, 'TerrainGLTFWriter');
+  t.end();
+});
+
+test('TerrainGLTFWriter#encode', async (t) => {
+  const bounds = [114, 22, 114.1, 22.1];
+  const image = makeTerrainImage(16, 16, (x, y) => x + y);
+  const mesh = getMesh(image, {
+    ...TerrainLoader.options.terrain,
+    bounds,
+    meshMaxError: 0,
+    computeNormals: true
+  });
+  const texture = {data: new Uint8Array([0x89, 0x50, 0x4e, 0x47, 1]), mimeType: 'image/png'};
+
+  const arrayBuffer = await TerrainGLTFWriter.encode(mesh, {
+    'terrain-gltf': {bounds, elevationDecoder: 'terrarium', texture}
+  });
+  const glb = parseGLB(arrayBuffer);
+
+  t.equal(glb.magic, 0x46546c67, 'GLB magic');
+  t.equal(glb.version, 2, 'GLB version');
+  t.equal(glb.byteLength, arrayBuffer.byteLength, 'GLB length');
+  t.equal(arrayBuffer.byteLength % 4, 0, 'GLB is 4 byte aligned');
+
+  const {json} = glb;
+  t.deepEqual(
+    json.meshes[0].extras,
+    {bounds, center: [114.05, 22.05, 0], elevationDecoder: 'terrarium'},
+    'bounds, center and elevation decoder in extras'
+  );
+
+  const {attributes, indices} = json.meshes[0].primitives[0];
+  t.deepEqual(
+    Array.from(glb.getAccessorData(attributes.TEXCOORD_0)),
+    Array.from(mesh.attributes.TEXCOORD_0.value),
+    'TEXCOORD_0 is written'
+  );
+  t.deepEqual(
+    Array.from(glb.getAccessorData(indices)),
+    Array.from(mesh.indices.value),
+    'indices are written'
+  );
+
+  // 0.1 degree is about 10.3km east-west and 11.1km north-south at 22 degrees north
+  const position = json.accessors[attributes.POSITION];
+  const [minX, minY] = position.min;
+  const [maxX, maxY] = position.max;
+  t.ok(
+    Math.abs(maxX - minX - 10320) < 50 && Math.abs(maxX + minX) < 1,
+    'x in meters about the center'
+  );
+  t.ok(
+    Math.abs(maxY - minY - 11075) < 50 && Math.abs(maxY + minY) < 10,
+    'y in meters about the center'
+  );
+
+  // The tile curves away from the plane of its center by a few meters at the corners
+  const positions = glb.getAccessorData(attributes.POSITION);
+  const elevations = mesh.attributes.POSITION.value;
+  let maxDrop = 0;
+  for (let i = 2; i < positions.length; i += 3) {
+    maxDrop = Math.max(maxDrop, elevations[i] - positions[i]);
+  }
+  t.ok(maxDrop > 0 && maxDrop < 10, 'z is the elevation, in the frame of the center');
+  t.deepEqual([position.min, position.max], getBoundingBox(positions), 'POSITION has min and max');
+
+  const normals = glb.getAccessorData(attributes.NORMAL);
+  const meshNormals = mesh.attributes.NORMAL.value;
+  let maxDeviation = 0;
+  for (let i = 0; i < normals.length; i++) {
+    maxDeviation = Math.max(maxDeviation, Math.abs(normals[i] - meshNormals[i]));
+  }
+  t.ok(maxDeviation < 2e-3, 'normals are turned to the frame of the center');
+
+  t.equal(json.images[0].mimeType, 'image/png', 'texture is embedded');
+  const textureView = json.bufferViews[json.images[0].bufferView];
+  t.equal(textureView.byteLength, texture.data.byteLength, 'texture length');
+  t.deepEqual(
+    json.materials[0].pbrMetallicRoughness.baseColorTexture,
+    {index: 0},
+    'texture is used as base color'
+  );
+
+  const untextured = parseGLB(TerrainGLTFWriter.encodeSync(mesh, {}));
+  t.notOk(untextured.json.images, 'no texture by default');
+  t.deepEqual(
+    untextured.json.meshes[0].extras,
+    {bounds: null, center: null, elevationDecoder: null},
+    'no extras'
+  );
+  const untexturedAttributes = untextured.json.meshes[0].primitives[0].attributes;
+  for (const name of ['POSITION', 'NORMAL']) {
+    t.deepEqual(
+      Array.from(untextured.getAccessorData(untexturedAttributes[name])),
+      Array.from(mesh.attributes[name].value),
+      `${name} is written as is without bounds`
+    );
+  }
+
+  t.end();
+});
@@ -1,7 +1,15 @@
 /* eslint-disable max-len */
-import {load, setLoaderOptions} from '@loaders.gl/core';
+import {load, parseInBatches, registerLoaders, setLoaderOptions} from '@loaders.gl/core';
+import {ImageLoader} from '@loaders.gl/images';
 import test from 'tape-promise/tape';
-import {TerrainLoader, TerrainWorkerLoader} from '../src/index';
+import {writeArrayBuffer} from 'geotiff';
+import {
+  TerrainLoader,
+  TerrainWorkerLoader,
+  getMeshElevation,
+  registerElevationDecoder
+} from '../src/index';
+import {getMesh} from '../src/lib/parse-terrain';
 import {validateLoader, validateMeshCategoryData} from './conformance';
 
 const MAPBOX_TERRAIN_PNG_URL = '@loaders.gl/terrain/test/data/mapbox.png';
@@ -11,6 +19,22 @@ setLoaderOptions({
   _workerType: 'test'
 });
 
+// TerrainLoader decodes the png tiles with the registered image loader
+registerLoaders([ImageLoader]);
+
+// Grayscale RGBA image where the red channel holds the elevation
+function makeTerrainImage(width, height, getElevation) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const k = (y * width + x) * 4;
+      data[k] = getElevation(x, y);
+      data[k + 3] = 255;
+    }
+  }
+  return {data, width, height};
+}
+
 test('TerrainLoader#loader objects', async (t) => {
   validateLoader(t, TerrainLoader, 'TerrainLoader');
   validateLoader(t, TerrainWorkerLoader, 'TerrainWorkerLoader');
@@ -114,3 +138,889 @@ test('TerrainWorkerLoader#parse terrarium', async (t) => {
 
   t.end();
 });
+
+test('TerrainLoader#computeNormals', (t) => {
+  const image = makeTerrainImage(16, 16, (x) => x);
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0};
+
+  let data = getMesh(image, terrainOptions);
+  t.notOk(data.attributes.NORMAL, 'NORMAL is not computed by default');
+
+  data = getMesh(image, {...terrainOptions, computeNormals: true});
+  validateMeshCategoryData(t, data);
+
+  const normals = data.attributes.NORMAL.value;
+  const positions = data.attributes.POSITION.value;
+  t.equal(data.attributes.NORMAL.size, 3, 'NORMAL attribute was found');
+  t.equal(normals.length, positions.length, 'NORMAL has one normal per vertex');
+
+  // The ramp rises 1m per pixel eastwards, away from the backfilled last column
+  let maxDeviation = 0;
+  for (let i = 0; i < normals.length / 3; i++) {
+    if (positions[i * 3] < 15) {
+      maxDeviation = Math.max(
+        maxDeviation,
+        Math.abs(normals[i * 3] + Math.SQRT1_2),
+        Math.abs(normals[i * 3 + 1]),
+        Math.abs(normals[i * 3 + 2] - Math.SQRT1_2)
+      );
+    }
+  }
+  t.ok(maxDeviation < 1e-6, 'interior and border normals follow the slope');
+
+  // Tiles of a TerrainLayer are fitted into Web Mercator common space
+  const cellDegrees = 1 / 111319.49;
+  data = getMesh(image, {
+    ...terrainOptions,
+    computeNormals: true,
+    bounds: [418.38, 204.87, 418.45, 204.95],
+    cartographicBounds: [0, 0, 16 * cellDegrees, 16 * cellDegrees]
+  });
+  t.ok(
+    Math.abs(data.attributes.NORMAL.value[2] - Math.SQRT1_2) < 1e-4,
+    'pixel size in meters comes from cartographicBounds'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#computeNormals on shared borders', (t) => {
+  // One surface split into a west and an east tile of 16 pixels
+  const getElevation = (x, y) => Math.round(100 + 60 * Math.sin(x / 3) * Math.cos(y / 4));
+  const getColumn = (x) => Array.from({length: 17}, (_, y) => getElevation(x, Math.min(y, 15)));
+  const west = makeTerrainImage(16, 16, getElevation);
+  const east = makeTerrainImage(16, 16, (x, y) => getElevation(x + 16, y));
+  const terrainOptions = {
+    ...TerrainLoader.options.terrain,
+    meshMaxError: 0,
+    computeNormals: true,
+    cellSize: [10, 10]
+  };
+  const westOptions = {...terrainOptions, bounds: [0, 0, 160, 160]};
+  const eastOptions = {...terrainOptions, bounds: [160, 0, 320, 160]};
+
+  // Normals of the vertices on the seam, by y
+  const getSeamNormals = (westMesh, eastMesh) => {
+    const getNormals = (mesh, edge) =>
+      new Map(
+        Array.from(mesh.edgeIndices[edge], (i) => [
+          mesh.attributes.POSITION.value[i * 3 + 1],
+          Array.from(mesh.attributes.NORMAL.value.subarray(i * 3, i * 3 + 3))
+        ])
+      );
+    const westNormals = getNormals(westMesh, 'eastIndices');
+    const eastNormals = getNormals(eastMesh, 'westIndices');
+    const ys = Array.from(westNormals.keys()).filter((y) => eastNormals.has(y));
+    return [ys.map((y) => westNormals.get(y)), ys.map((y) => eastNormals.get(y))];
+  };
+
+  const [westFree, eastFree] = getSeamNormals(
+    getMesh(west, westOptions),
+    getMesh(east, eastOptions)
+  );
+  t.ok(westFree.length > 2, 'the tiles share vertices on the seam');
+  t.notDeepEqual(westFree, eastFree, 'one-sided gradients disagree on the seam');
+
+  const westMesh = getMesh(west, {
+    ...westOptions,
+    borderElevations: {east: getColumn(16)},
+    paddingElevations: {east: getColumn(17)}
+  });
+  const eastMesh = getMesh(east, {...eastOptions, paddingElevations: {west: getColumn(15)}});
+  const [westShared, eastShared] = getSeamNormals(westMesh, eastMesh);
+  t.deepEqual(westShared, eastShared, 'normals match on the seam with the samples of neighbours');
+
+  t.throws(
+    () => getMesh(west, {...westOptions, paddingElevations: {east: getColumn(17)}}),
+    /paddingElevations on the east and south need borderElevations there/,
+    'padding past the backfilled column is rejected'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#skirtHeight', (t) => {
+  const image = makeTerrainImage(16, 16, (x, y) => x + y);
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 2};
+
+  const data = getMesh(image, terrainOptions);
+  const vertexCount = data.attributes.POSITION.value.length / 3;
+  const triangleCount = data.indices.value.length / 3;
+
+  const skirted = getMesh(image, {...terrainOptions, skirtHeight: 20});
+  validateMeshCategoryData(t, skirted);
+
+  const positions = skirted.attributes.POSITION.value;
+  const texCoords = skirted.attributes.TEXCOORD_0.value;
+  const skirtVertexCount = positions.length / 3 - vertexCount;
+  t.ok(skirtVertexCount > 0, 'skirt vertices were added');
+  t.equal(
+    skirted.indices.value.length / 3 - triangleCount,
+    skirtVertexCount * 2,
+    'each border edge is extruded into two triangles'
+  );
+
+  let matchesBorder = true;
+  for (let i = vertexCount; i < vertexCount + skirtVertexCount; i++) {
+    const [u, v] = [texCoords[i * 2], texCoords[i * 2 + 1]];
+    const onBorder = u === 0 || v === 0 || u === 1 || v === 1;
+    // The last row and column are backfilled from their neighbours
+    const elevation = Math.min(Math.round(u * 16), 15) + Math.min(Math.round(v * 16), 15);
+    matchesBorder = matchesBorder && onBorder && positions[i * 3 + 2] === elevation - 20;
+  }
+  t.ok(matchesBorder, 'skirt vertices hang 20m below the border vertices');
+
+  t.deepEqual(skirted.header.boundingBox, data.header.boundingBox, 'bounding box excludes skirt');
+
+  const scaled = getMesh(image, {...terrainOptions, skirtHeight: {errorScale: 3}});
+  const minZ = Math.min(...scaled.attributes.POSITION.value.filter((_, i) => i % 3 === 2));
+  t.equal(minZ, -6, 'skirt height scales with meshMaxError');
+
+  t.end();
+});
+
+test('TerrainLoader#parse GeoTIFF', async (t) => {
+  const width = 6;
+  const height = 4;
+  const values = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      values.push(x * 10 + y);
+    }
+  }
+  // geotiff.js writes the default tie point, i.e. the top left corner at -180, 90
+  const arrayBuffer = await writeArrayBuffer(values, {width, height, ModelPixelScale: [10, 10, 0]});
+
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0};
+  const data = await TerrainLoader.parse(arrayBuffer, {terrain: terrainOptions}, {});
+  validateMeshCategoryData(t, data);
+
+  const {boundingBox} = data.header;
+  t.deepEqual(
+    [boundingBox[0][0], boundingBox[0][1], boundingBox[1][0], boundingBox[1][1]],
+    [-180, 50, -120, 90],
+    'bounds come from the georeferencing'
+  );
+
+  const positions = data.attributes.POSITION.value;
+  let matchesRaster = true;
+  for (let i = 0; i < positions.length / 3; i++) {
+    const x = Math.min(Math.round((positions[i * 3] + 180) / 10), width - 1);
+    const y = Math.min(Math.round((90 - positions[i * 3 + 1]) / 10), height - 1);
+    matchesRaster = matchesRaster && positions[i * 3 + 2] === x * 10 + y;
+  }
+  t.ok(matchesRaster, 'elevations are read from the first band');
+
+  // HK1980 Grid raster with 50m pixels
+  const projected = await writeArrayBuffer(values, {
+    width,
+    height,
+    GTModelTypeGeoKey: 1,
+    ProjectedCSTypeGeoKey: 2326,
+    ModelTiepoint: [0, 0, 0, 836000, 820000, 0],
+    ModelPixelScale: [50, 50, 0]
+  });
+  await t.rejects(
+    TerrainLoader.parse(projected, {terrain: terrainOptions}, {}),
+    /EPSG:2326 needs terrain.bounds/,
+    'projected rasters are not used as longitude/latitude'
+  );
+
+  const bounds = [114.1, 22.3, 114.103, 22.302];
+  const projectedMesh = await TerrainLoader.parse(
+    projected,
+    {terrain: {...terrainOptions, bounds, computeNormals: true}},
+    {}
+  );
+  const [min, max] = projectedMesh.header.boundingBox;
+  t.ok(
+    [min[0], min[1], max[0], max[1]].every((value, i) => Math.abs(value - bounds[i]) < 1e-5),
+    'projected rasters take the bounds of the options'
+  );
+  // Elevations rise 10m per 50m pixel eastwards, a slope of 0.2
+  const normals = projectedMesh.attributes.NORMAL.value;
+  t.ok(Math.abs(normals[0] / normals[2] + 0.2) < 1e-3, 'cell size from the pixel scale in meters');
+
+  t.end();
+});
+
+test('TerrainLoader#noDataStrategy', (t) => {
+  // West quarter of the tile is nodata (0), the rest rises eastwards from 14m
+  const image = makeTerrainImage(16, 16, (x) => (x < 4 ? 0 : 10 + x));
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0, noDataValue: 0};
+
+  const getElevations = (mesh) => mesh.attributes.POSITION.value.filter((_, i) => i % 3 === 2);
+  const isNoDataVertex = (mesh, vertex) => mesh.attributes.TEXCOORD_0.value[vertex * 2] < 4 / 16;
+
+  const clamped = getMesh(image, {...terrainOptions, noDataStrategy: 'clamp'});
+  validateMeshCategoryData(t, clamped);
+  t.equal(Math.min(...getElevations(clamped)), 14, 'clamp uses the lowest valid elevation');
+
+  const filled = getMesh(image, {...terrainOptions, noDataStrategy: 'fill-nearest'});
+  const filledElevations = getElevations(filled);
+  t.ok(
+    filledElevations.every((z, i) => (isNoDataVertex(filled, i) ? z === 14 : z >= 14)),
+    'fill-nearest uses the elevation of the nearest valid sample'
+  );
+
+  const holed = getMesh(image, {...terrainOptions, noDataStrategy: 'hole'});
+  validateMeshCategoryData(t, holed);
+  const indices = holed.indices.value;
+  t.ok(indices.length > 0, 'valid triangles are kept');
+  t.ok(
+    indices.every((vertex) => !isNoDataVertex(holed, vertex)),
+    'triangles touching nodata are dropped'
+  );
+
+  // Single nodata sample, filled within meshMaxError and so without a vertex of its own
+  const pitImage = makeTerrainImage(16, 16, (x, y) =>
+    x === 5 && y === 5 ? 0 : 10 + Math.round((x * y) / 4)
+  );
+  const pit = getMesh(pitImage, {...terrainOptions, meshMaxError: 4, noDataStrategy: 'hole'});
+  const pitTexCoords = pit.attributes.TEXCOORD_0.value;
+  const getPixel = (vertex) => [pitTexCoords[vertex * 2] * 16, pitTexCoords[vertex * 2 + 1] * 16];
+  let coversPit = false;
+  for (let i = 0; i < pit.indices.value.length; i += 3) {
+    const [[ax, ay], [bx, by], [cx, cy]] = Array.from(pit.indices.value.slice(i, i + 3), getPixel);
+    const area = (bx - ax) * (cy - ay) - (cx - ax) * (by - ay);
+    const u = ((bx - 5) * (cy - 5) - (cx - 5) * (by - 5)) / area;
+    const v = ((cx - 5) * (ay - 5) - (ax - 5) * (cy - 5)) / area;
+    coversPit = coversPit || (u >= 0 && v >= 0 && 1 - u - v >= 0);
+  }
+  t.ok(pit.indices.value.length > 0, 'triangles around the nodata sample are kept');
+  t.notOk(coversPit, 'triangles spanning a nodata sample are dropped');
+
+  // Nodata along the west border and in a hole inside the tile
+  const holeImage = makeTerrainImage(16, 16, (x, y) =>
+    x < 4 || (x >= 8 && x <= 10 && y >= 6 && y <= 9) ? 0 : 10 + x
+  );
+  const holedOptions = {...terrainOptions, noDataStrategy: 'hole'};
+  const vertexCount = getMesh(holeImage, holedOptions).attributes.POSITION.value.length / 3;
+  const skirted = getMesh(holeImage, {...holedOptions, skirtHeight: 20});
+  validateMeshCategoryData(t, skirted);
+  const texCoords = skirted.attributes.TEXCOORD_0.value;
+  const skirtTexCoords = [];
+  for (let i = vertexCount * 2; i < texCoords.length; i += 2) {
+    skirtTexCoords.push([texCoords[i], texCoords[i + 1]]);
+  }
+  t.ok(skirtTexCoords.length > 0, 'skirt vertices were added');
+  t.ok(
+    skirtTexCoords.every(([u, v]) => u >= 4 / 16 && (u === 1 || v === 0 || v === 1)),
+    'skirts hang from the tile borders with data only, not around the holes'
+  );
+
+  // NaN nodata in an elevation raster
+  const data = new Float32Array(16 * 16).map((_, i) => (i % 16 < 4 ? NaN : 10));
+  const raster = getMesh(
+    {data, width: 16, height: 16},
+    {...terrainOptions, noDataValue: NaN, noDataStrategy: 'hole'}
+  );
+  t.ok(
+    raster.indices.value.every((vertex) => !isNoDataVertex(raster, vertex)),
+    'NaN nodata is dropped'
+  );
+  t.ok(getElevations(raster).every(Number.isFinite), 'no NaN elevations in the mesh');
+
+  t.end();
+});
+
+test('TerrainLoader#elevationDecoder presets', (t) => {
+  const image = makeTerrainImage(16, 16, (x, y) => x * 8 + y);
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0};
+  const getElevations = (mesh) =>
+    Array.from(mesh.attributes.POSITION.value.filter((_, i) => i % 3 === 2));
+
+  const terrarium = getMesh(image, {...terrainOptions, elevationDecoder: 'terrarium'});
+  const terrariumObject = getMesh(image, {
+    ...terrainOptions,
+    elevationDecoder: {rScaler: 256, gScaler: 1, bScaler: 1 / 256, offset: -32768}
+  });
+  t.deepEqual(getElevations(terrarium), getElevations(terrariumObject), 'preset name');
+
+  const squared = getMesh(image, {...terrainOptions, elevationDecoder: (r) => r * r});
+  const texCoords = squared.attributes.TEXCOORD_0.value;
+  t.ok(
+    getElevations(squared).every((z, i) => {
+      // The last row and column are backfilled from their neighbours
+      const x = Math.min(Math.round(texCoords[i * 2] * 16), 15);
+      const y = Math.min(Math.round(texCoords[i * 2 + 1] * 16), 15);
+      return z === (x * 8 + y) ** 2;
+    }),
+    'function decoder'
+  );
+
+  registerElevationDecoder('squared', (r) => r * r);
+  const registered = getMesh(image, {...terrainOptions, elevationDecoder: 'squared'});
+  t.deepEqual(getElevations(registered), getElevations(squared), 'custom preset');
+
+  t.throws(
+    () => getMesh(image, {...terrainOptions, elevationDecoder: 'terrarum'}),
+    /Unknown elevationDecoder preset "terrarum"/,
+    'unknown preset throws'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#martiniFit', (t) => {
+  const width = 20;
+  const height = 12;
+  const image = makeTerrainImage(width, height, (x, y) => 100 + 40 * Math.sin(x / 3) + 3 * y);
+  const bounds = [114, 22, 114.2, 22.1];
+
+  for (const martiniFit of ['pad', 'resample']) {
+    const mesh = getMesh(image, {
+      ...TerrainLoader.options.terrain,
+      tesselator: 'martini',
+      martiniFit,
+      bounds,
+      meshMaxError: 1
+    });
+    validateMeshCategoryData(t, mesh);
+
+    const [min, max] = mesh.header.boundingBox;
+    t.deepEqual(
+      [min[0], min[1], max[0], max[1]],
+      bounds.map(Math.fround),
+      `${martiniFit}: mesh covers the bounds exactly`
+    );
+
+    const texCoords = mesh.attributes.TEXCOORD_0.value;
+    t.ok(
+      texCoords.every((value) => value >= 0 && value <= 1),
+      `${martiniFit}: texture coordinates stay in the image`
+    );
+
+    // Triangles cover the image once, without overlaps
+    const indices = mesh.indices.value;
+    let area = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+      const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]];
+      const abu = texCoords[b * 2] - texCoords[a * 2];
+      const abv = texCoords[b * 2 + 1] - texCoords[a * 2 + 1];
+      const acu = texCoords[c * 2] - texCoords[a * 2];
+      const acv = texCoords[c * 2 + 1] - texCoords[a * 2 + 1];
+      area += Math.abs(abu * acv - abv * acu) / 2;
+    }
+    t.ok(Math.abs(area - 1) < 1e-6, `${martiniFit}: triangles cover the image`);
+
+    if (martiniFit === 'pad') {
+      // Pixels are not resampled, vertices on pixels keep their elevation
+      const positions = mesh.attributes.POSITION.value;
+      let matchesPixels = true;
+      for (let i = 0; i < positions.length / 3; i++) {
+        const x = texCoords[i * 2] * width;
+        const y = texCoords[i * 2 + 1] * height;
+        if (Number.isInteger(x) && Number.isInteger(y)) {
+          const pixel = image.data[(Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 4];
+          matchesPixels = matchesPixels && positions[i * 3 + 2] === pixel;
+        }
+      }
+      t.ok(matchesPixels, 'pad: vertices on pixels keep their elevation');
+    }
+  }
+
+  t.end();
+});
+
+test('TerrainLoader#loaderData header', (t) => {
+  const getElevation = (x, y) => 100 + Math.round(40 * Math.sin(x / 3) + 3 * y);
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 2};
+
+  for (const [width, height, tesselator] of [
+    [16, 16, 'martini'],
+    [20, 12, 'delatin']
+  ]) {
+    const mesh = getMesh(makeTerrainImage(width, height, getElevation), terrainOptions);
+    const {header} = mesh.loaderData;
+
+    t.equal(header.tesselator, tesselator, `auto picks ${tesselator}`);
+    t.equal(header.vertexCount, mesh.attributes.POSITION.value.length / 3, 'vertex count');
+    t.equal(mesh.header.vertexCount, header.vertexCount, 'normalized header vertex count');
+    t.equal(header.triangleCount, mesh.indices.value.length / 3, 'triangle count');
+
+    const elevations = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        elevations.push(getElevation(x, y));
+      }
+    }
+    t.equal(header.minElevation, Math.min(...elevations), 'min elevation');
+    t.equal(header.maxElevation, Math.max(...elevations), 'max elevation');
+    t.ok(
+      Math.abs(header.meanElevation - elevations.reduce((a, b) => a + b) / elevations.length) <
+        1e-9,
+      'mean elevation'
+    );
+
+    // Martini only checks its error on the midpoints of its triangle edges, so the error
+    // measured over all pixels may be a little above meshMaxError
+    t.ok(
+      header.maxError > 0 && header.maxError <= (tesselator === 'delatin' ? 2 : 3),
+      'achieved max error'
+    );
+    t.ok(header.rmsd > 0 && header.rmsd <= header.maxError, 'rmsd is below the max error');
+    t.ok(header.decodeTime >= 0 && header.tesselationTime >= 0, 'timings');
+  }
+
+  t.end();
+});
+
+test('TerrainLoader#meshMaxError levels of detail', (t) => {
+  const getElevation = (x, y) => 100 + Math.round(40 * Math.sin(x / 3) + 3 * y);
+  const meshMaxErrors = [8, 1, 4];
+
+  for (const [width, height, martiniFit] of [
+    [16, 16, null],
+    [20, 12, null],
+    [20, 12, 'pad']
+  ]) {
+    const image = makeTerrainImage(width, height, getElevation);
+    const terrainOptions = {...TerrainLoader.options.terrain, martiniFit, computeNormals: true};
+    const mesh = getMesh(image, {...terrainOptions, meshMaxError: meshMaxErrors});
+    const {tesselator} = mesh.loaderData.header;
+
+    t.equal(mesh.lods.length, meshMaxErrors.length, `${tesselator} builds one mesh per level`);
+    t.equal(mesh.indices, mesh.lods[0].indices, 'the mesh is the first level');
+
+    mesh.lods.forEach((lod, i) => {
+      const levelMesh = getMesh(image, {...terrainOptions, meshMaxError: meshMaxErrors[i]});
+      t.equal(lod.loaderData.header.meshMaxError, meshMaxErrors[i], 'level error');
+      t.deepEqual(lod.indices.value, levelMesh.indices.value, 'same triangles as a single level');
+      t.deepEqual(
+        lod.attributes.POSITION.value,
+        levelMesh.attributes.POSITION.value,
+        'same positions as a single level'
+      );
+    });
+
+    const [coarse, fine, medium] = mesh.lods.map((lod) => lod.loaderData.header.triangleCount);
+    t.ok(coarse <= medium && medium <= fine, 'finer levels have more triangles');
+  }
+
+  t.throws(
+    () =>
+      getMesh(makeTerrainImage(16, 16, getElevation), {
+        ...TerrainLoader.options.terrain,
+        meshMaxError: []
+      }),
+    /at least one value/,
+    'rejects an empty array'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#meshBudget', (t) => {
+  const image = makeTerrainImage(32, 32, (x, y) => 50 * Math.sin(x / 4) * Math.cos(y / 5));
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0};
+
+  const unlimited = getMesh(image, terrainOptions).loaderData.header;
+
+  let header = getMesh(image, {...terrainOptions, meshBudget: {maxTriangles: 100}}).loaderData
+    .header;
+  t.equal(header.tesselator, 'delatin', 'auto picks delatin for a budget');
+  t.ok(header.triangleCount <= 100 && header.triangleCount >= 98, 'stops at the triangle budget');
+  t.ok(header.maxError > unlimited.maxError, 'reports the achieved error');
+
+  header = getMesh(image, {...terrainOptions, meshBudget: {maxTriangles: 1000, maxVertices: 30}})
+    .loaderData.header;
+  t.equal(header.vertexCount, 30, 'stops at the first limit reached');
+
+  header = getMesh(image, {...terrainOptions, meshMaxError: 10, meshBudget: {maxVertices: 1e6}})
+    .loaderData.header;
+  t.ok(header.maxError <= 10, 'stops on meshMaxError within the budget');
+
+  t.throws(
+    () => getMesh(image, {...terrainOptions, tesselator: 'martini', meshBudget: {maxVertices: 30}}),
+    /only supported by the delatin tesselator/,
+    'martini rejects a budget'
+  );
+
+  t.end();
+});
+
+// Whether an edge of the mesh crosses the segment between two [x, y] positions, endpoints excluded
+function hasEdgeCrossing(mesh, [ax, ay], [bx, by]) {
+  const positions = mesh.attributes.POSITION.value;
+  const triangles = mesh.indices.value;
+  const orient = (px, py, qx, qy, rx, ry) =>
+    Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+  for (let i = 0; i < triangles.length; i++) {
+    const p = triangles[i] * 3;
+    const q = triangles[i - (i % 3) + ((i + 1) % 3)] * 3;
+    const [px, py, qx, qy] = [positions[p], positions[p + 1], positions[q], positions[q + 1]];
+    if (
+      orient(ax, ay, bx, by, px, py) * orient(ax, ay, bx, by, qx, qy) < 0 &&
+      orient(px, py, qx, qy, ax, ay) * orient(px, py, qx, qy, bx, by) < 0
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function hasVertex(mesh, [x, y]) {
+  const positions = mesh.attributes.POSITION.value;
+  for (let i = 0; i < positions.length; i += 3) {
+    if (positions[i] === x && positions[i + 1] === y) {
+      return true;
+    }
+  }
+  return false;
+}
+
+test('TerrainLoader#breaklines', (t) => {
+  const image = makeTerrainImage(32, 32, (x, y) => 50 + 50 * Math.sin(x / 4) * Math.cos(y / 5));
+  const diagonal = [
+    [20, 280],
+    [260, 40]
+  ];
+  const crossing = [
+    [0, 150],
+    [320, 150]
+  ];
+  const partlyOutside = [
+    [-100, 100],
+    [160, 100]
+  ];
+  const terrainOptions = {
+    ...TerrainLoader.options.terrain,
+    bounds: [0, 0, 320, 320],
+    meshMaxError: 20,
+    breaklines: [diagonal, crossing, partlyOutside]
+  };
+
+  for (const meshMaxError of [20, 0]) {
+    const mesh = getMesh(image, {...terrainOptions, meshMaxError});
+    validateMeshCategoryData(t, mesh);
+    t.equal(mesh.loaderData.header.tesselator, 'delatin', 'auto picks delatin for breaklines');
+    t.ok(
+      diagonal.every((point) => hasVertex(mesh, point)),
+      'breakline points are vertices'
+    );
+    t.ok(hasVertex(mesh, [150, 150]), 'crossing breaklines share a vertex');
+    t.ok(hasVertex(mesh, [0, 100]), 'breaklines are clipped to the bounds');
+    t.ok(
+      [diagonal, crossing, [[0, 100], partlyOutside[1]]].every(
+        ([a, b]) => !hasEdgeCrossing(mesh, a, b)
+      ),
+      `no edge crosses the breaklines with meshMaxError ${meshMaxError}`
+    );
+  }
+
+  const plain = getMesh(image, {...terrainOptions, breaklines: null});
+  t.ok(hasEdgeCrossing(plain, ...diagonal), 'the mesh does not follow the diagonal without it');
+
+  t.throws(
+    () => getMesh(image, {...terrainOptions, tesselator: 'martini'}),
+    /breaklines are only supported by the delatin tesselator/,
+    'martini rejects breaklines'
+  );
+
+  t.end();
+});
+
+// Positions of the vertices on a border, [x, y, z] along it
+function getBorderPositions(mesh, edge) {
+  const positions = mesh.attributes.POSITION.value;
+  return Array.from(mesh.edgeIndices[edge], (i) =>
+    Array.from(positions.subarray(i * 3, i * 3 + 3))
+  );
+}
+
+test('TerrainLoader#locked borders', (t) => {
+  const west = makeTerrainImage(32, 32, (x, y) => 50 + 50 * Math.sin(x / 4) * Math.cos(y / 5));
+  const east = makeTerrainImage(32, 32, (x, y) => 50 + 50 * Math.cos(x / 3) * Math.sin(y / 6));
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 1};
+  const westOptions = {...terrainOptions, bounds: [0, 0, 320, 320]};
+  const eastOptions = {...terrainOptions, bounds: [320, 0, 640, 320]};
+
+  let westMesh = getMesh(west, westOptions);
+  let eastMesh = getMesh(east, eastOptions);
+  t.notDeepEqual(
+    getBorderPositions(westMesh, 'eastIndices').map(([, y]) => y),
+    getBorderPositions(eastMesh, 'westIndices').map(([, y]) => y),
+    'free borders do not match'
+  );
+
+  westMesh = getMesh(west, {...westOptions, borderSpacing: 8});
+  eastMesh = getMesh(east, {...eastOptions, borderSpacing: 8});
+  t.equal(
+    westMesh.loaderData.header.tesselator,
+    'delatin',
+    'auto picks delatin for locked borders'
+  );
+  const westBorder = getBorderPositions(westMesh, 'eastIndices');
+  t.deepEqual(
+    westBorder.map(([, y]) => y),
+    [0, 80, 160, 240, 320],
+    'borderSpacing seeds the borders, from south to north'
+  );
+  t.deepEqual(
+    getBorderPositions(eastMesh, 'westIndices').map(([, y]) => y),
+    westBorder.map(([, y]) => y),
+    'seeded borders match'
+  );
+  t.ok(
+    westBorder.every(([x]) => x === 320),
+    'edge indices hold the vertices of the border'
+  );
+  t.notDeepEqual(
+    getBorderPositions(eastMesh, 'westIndices').map(([, , z]) => z),
+    westBorder.map(([, , z]) => z),
+    'the last column copies the pixels of its own tile, not those of the neighbour'
+  );
+
+  // Share the first column of the east tile with the west tile
+  const {data: eastGrid} = getMesh(east, {...eastOptions, heightMap: true}).heightMap;
+  const eastColumn = Array.from({length: 33}, (_, y) => eastGrid[y * 33]);
+  const sharedMesh = getMesh(west, {
+    ...westOptions,
+    borderSpacing: 8,
+    borderElevations: {east: eastColumn}
+  });
+  t.deepEqual(
+    getBorderPositions(sharedMesh, 'eastIndices').map(([, y, z]) => [y, z]),
+    getBorderPositions(eastMesh, 'westIndices').map(([, y, z]) => [y, z]),
+    'borderElevations makes the shared vertices meet in elevation too'
+  );
+  t.throws(
+    () => getMesh(west, {...westOptions, borderElevations: {east: eastColumn.slice(1)}}),
+    /borderElevations.east needs 33 samples/,
+    'border samples match the grid'
+  );
+  t.deepEqual(
+    getBorderPositions(westMesh, 'northIndices').map(([x]) => x),
+    [0, 80, 160, 240, 320],
+    'edge indices run from west to east'
+  );
+
+  // Lock the east tile to the free border of its neighbour
+  westMesh = getMesh(west, westOptions);
+  const neighbourBorder = getBorderPositions(westMesh, 'eastIndices').map(([, y]) => y);
+  eastMesh = getMesh(east, {...eastOptions, borderVertices: {west: neighbourBorder}});
+  t.deepEqual(
+    getBorderPositions(eastMesh, 'westIndices').map(([, y]) => y),
+    neighbourBorder,
+    'borderVertices takes the border of a neighbour'
+  );
+  t.ok(getBorderPositions(eastMesh, 'southIndices').length > 2, 'other borders are refined');
+
+  t.throws(
+    () => getMesh(west, {...westOptions, tesselator: 'martini', borderSpacing: 8}),
+    /only supported by the delatin tesselator/,
+    'martini rejects locked borders'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#locked borders of adjacent GeoTIFF tiles', async (t) => {
+  // One surface split into a west and an east tile of 32 pixels of 0.001 degrees
+  const size = 32;
+  const getValues = (offsetX) => {
+    const values = [];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        values.push(Math.round(50 + 50 * Math.sin((x + offsetX) / 4) * Math.cos(y / 5)));
+      }
+    }
+    return values;
+  };
+  const writeTile = (offsetX) =>
+    writeArrayBuffer(getValues(offsetX), {
+      width: size,
+      height: size,
+      GTModelTypeGeoKey: 2,
+      GeographicTypeGeoKey: 4326,
+      ModelTiepoint: [0, 0, 0, 114 + offsetX / 1000, 22.032, 0],
+      ModelPixelScale: [0.001, 0.001, 0]
+    });
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 1, borderSpacing: 8};
+
+  const east = await TerrainLoader.parse(
+    await writeTile(size),
+    {terrain: {...terrainOptions, heightMap: true}},
+    {}
+  );
+  const eastBorder = getBorderPositions(east, 'westIndices');
+  t.ok(
+    eastBorder.every(([x]) => Math.abs(x - 114.032) < 1e-4),
+    'the tiles are side by side in longitude/latitude'
+  );
+
+  const westArrayBuffer = await writeTile(0);
+  const free = await TerrainLoader.parse(westArrayBuffer.slice(0), {terrain: terrainOptions}, {});
+  t.deepEqual(
+    getBorderPositions(free, 'eastIndices').map(([x, y]) => [x, y]),
+    eastBorder.map(([x, y]) => [x, y]),
+    'borderSpacing alone shares the positions of the seam'
+  );
+  t.notDeepEqual(getBorderPositions(free, 'eastIndices'), eastBorder, 'but not its elevations');
+
+  const {data, width, height} = east.heightMap;
+  const column = Array.from({length: height}, (_, y) => data[y * width]);
+  const west = await TerrainLoader.parse(
+    westArrayBuffer,
+    {terrain: {...terrainOptions, borderElevations: {east: column}}},
+    {}
+  );
+  t.deepEqual(
+    getBorderPositions(west, 'eastIndices'),
+    eastBorder,
+    'borderElevations from the heightMap of the neighbour make the seam match'
+  );
+
+  t.end();
+});
+
+test('TerrainLoader#parseInBatches', async (t) => {
+  const width = 40;
+  const height = 30;
+  const values = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      values.push(Math.round(50 * Math.sin(x / 4) * Math.cos(y / 5)));
+    }
+  }
+  const arrayBuffer = await writeArrayBuffer(values, {width, height, ModelPixelScale: [10, 10, 0]});
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 1, pointsPerBatch: 50};
+
+  const batches = [];
+  for await (const mesh of await parseInBatches(arrayBuffer, TerrainLoader, {
+    terrain: terrainOptions
+  })) {
+    batches.push(mesh);
+  }
+
+  t.ok(batches.length > 1, 'yields intermediate meshes');
+  batches.forEach((mesh) => validateMeshCategoryData(t, mesh));
+  const vertexCounts = batches.map((mesh) => mesh.loaderData.header.vertexCount);
+  t.ok(
+    vertexCounts.every(
+      (count, i) => i === 0 || count - vertexCounts[i - 1] === 50 || i === batches.length - 1
+    ),
+    'every batch inserts pointsPerBatch points'
+  );
+
+  const final = await TerrainLoader.parse(arrayBuffer, {terrain: terrainOptions}, {});
+  const last = batches[batches.length - 1];
+  t.ok(last.loaderData.header.maxError <= 1, 'the last mesh meets meshMaxError');
+  t.deepEqual(last.indices.value, final.indices.value, 'the last mesh is the complete mesh');
+
+  // Stopping the iteration stops the refinement
+  const iterator = await parseInBatches(arrayBuffer, TerrainLoader, {terrain: terrainOptions});
+  const {value: first} = await iterator.next();
+  await iterator.return();
+  t.equal(first.loaderData.header.vertexCount, vertexCounts[0], 'first batch');
+  t.ok((await iterator.next()).done, 'can be stopped');
+
+  t.end();
+});
+
+test('TerrainLoader#getMeshElevation', (t) => {
+  // Plane rising 1m per pixel eastwards and 2m per pixel southwards
+  const image = makeTerrainImage(16, 16, (x, y) => x + 2 * y);
+  const bounds = [100, 20, 116, 36];
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: 0, bounds};
+  const position = [100 + 4.5, 36 - 3.25];
+
+  const mesh = getMesh(image, {...terrainOptions, heightMap: true});
+  t.equal(mesh.heightMap.width, 17, 'height map holds the elevation grid');
+  t.deepEqual(mesh.heightMap.bounds, bounds, 'height map bounds');
+  t.equal(getMeshElevation(mesh, position), 11, 'bilinear interpolation of the height map');
+  t.equal(getMeshElevation(mesh, [99, 30]), null, 'null outside of the mesh');
+
+  const meshOnly = getMesh(image, {...terrainOptions, skirtHeight: 10});
+  t.equal(meshOnly.heightMap, null, 'no height map by default');
+  t.ok(
+    Math.abs(getMeshElevation(meshOnly, position) - 11) < 1e-4,
+    'barycentric interpolation of the triangles, skirts aside'
+  );
+
+  const holedOptions = {...terrainOptions, noDataValue: 0, noDataStrategy: 'hole'};
+  const holeImage = makeTerrainImage(16, 16, (x, y) => (x < 4 ? 0 : x + 2 * y));
+  const holed = getMesh(holeImage, {...holedOptions, heightMap: true});
+  t.equal(getMeshElevation(holed, [101, 30]), null, 'null in the holes of the height map');
+  t.equal(getMeshElevation(holed, position), 11, 'elevation next to the holes');
+  t.equal(
+    getMeshElevation(getMesh(holeImage, holedOptions), [101, 30]),
+    null,
+    'null in the holes of the mesh'
+  );
+  t.end();
+});
+
+test('TerrainLoader#contours', (t) => {
+  const terrainOptions = {...TerrainLoader.options.terrain, meshMaxError: [5, 1]};
+
+  // Plane rising 1m per pixel eastwards and 2m per pixel southwards
+  const plane = getMesh(
+    makeTerrainImage(16, 16, (x, y) => x + 2 * y),
+    {
+      ...terrainOptions,
+      contours: {interval: 10, indexInterval: 20}
+    }
+  );
+  const {contours} = plane;
+  t.deepEqual(
+    contours.map(({elevation}) => elevation),
+    [10, 20, 30, 40],
+    'one open line per level'
+  );
+  t.deepEqual(
+    contours.map(({isIndex}) => isIndex),
+    [false, true, false, true],
+    'index contours'
+  );
+  // The last row and column of the elevation grid repeat the image borders
+  const isOnLevel = ([x, y, z], elevation) =>
+    x > 15 || 16 - y > 15 || (Math.abs(x + 2 * (16 - y) - elevation) < 1e-6 && z === elevation);
+  t.ok(
+    contours.every(({elevation, path}) => path.every((position) => isOnLevel(position, elevation))),
+    'positions are on the level'
+  );
+  t.equal(plane.lods[1].contours, contours, 'levels of detail share the contours');
+  t.equal(
+    getMesh(
+      makeTerrainImage(16, 16, () => 0),
+      terrainOptions
+    ).contours,
+    null,
+    'off by default'
+  );
+
+  // Cone peaking at 50m in the middle of the image
+  const cone = getMesh(
+    makeTerrainImage(16, 16, (x, y) => Math.max(0, 50 - 5 * Math.hypot(x - 8, y - 8))),
+    {...terrainOptions, bounds: [100, 20, 116, 36], contours: {interval: 25}}
+  );
+  t.equal(cone.contours.length, 1, 'one contour around the peak');
+  const [{path, isIndex}] = cone.contours;
+  t.deepEqual(path[0], path[path.length - 1], 'closed contours end on their first position');
+  t.notOk(isIndex, 'index contours every fifth contour by default');
+  t.ok(
+    path.every(([x, y]) => Math.abs(Math.hypot(x - 108, y - 28) - 5) < 0.5),
+    'positions in the coordinates of the bounds'
+  );
+
+  const holeImage = makeTerrainImage(16, 16, (x, y) => (x < 4 ? 0 : x + 2 * y));
+  const holed = getMesh(holeImage, {
+    ...terrainOptions,
+    noDataValue: 0,
+    noDataStrategy: 'hole',
+    contours: {interval: 10}
+  });
+  t.ok(
+    holed.contours.every(({path}) => path.every(([x]) => x >= 4)),
+    'no contours in the holes'
+  );
+
+  t.throws(
+    () => getMesh(holeImage, {...terrainOptions, contours: {interval: 0}}),
+    /interval/,
+    'throws without a positive interval'
+  );
+  t.end();
+});
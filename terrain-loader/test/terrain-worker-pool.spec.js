@@ -0,0 +1,161 @@
+import {fetchFile} from '@loaders.gl/core';
+import test from 'tape-promise/tape';
+import TerrainWorkerPool from '../../terrain-layer/terrain-worker-pool';
+import Tile2DHeader from '../../tile-layer/tile-2d-header';
+
+const MAPBOX_URL = '@loaders.gl/terrain/test/data/mapbox.png';
+
+// Records the messages posted to it, the test replies on its behalf
+class StubWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  postMessage(data, transferList) {
+    this.messages.push({data, transferList});
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(data) {
+    this.onmessage({data});
+  }
+}
+
+function createPool(maxConcurrency = 1) {
+  const workers = [];
+  const pool = new TerrainWorkerPool({
+    createWorker: () => {
+      const worker = new StubWorker();
+      workers.push(worker);
+      return worker;
+    },
+    maxConcurrency
+  });
+  return {pool, workers};
+}
+
+test('TerrainWorkerPool#transfer lists', async (t) => {
+  const {pool, workers} = createPool();
+  const arrayBuffer = new ArrayBuffer(8);
+  const options = {terrain: {meshMaxError: 1}};
+  const job = pool.parse(arrayBuffer, options);
+
+  const [worker] = workers;
+  const [{data, transferList}] = worker.messages;
+  t.equal(data.type, 'parse', 'the job is posted to the worker');
+  t.equal(data.arraybuffer, arrayBuffer, 'with its data');
+  t.deepEqual(data.options, options, 'and its options');
+  t.deepEqual(transferList, [arrayBuffer], 'the data is transferred, not copied');
+
+  // The worker asks for its image to be decoded on the main thread
+  const response = await fetchFile(MAPBOX_URL);
+  worker.reply({type: 'parse', id: 1, arraybuffer: await response.arrayBuffer(), options: {}});
+  while (worker.messages.length < 2) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  const decoded = worker.messages[1];
+  t.equal(decoded.data.type, 'parse-done', 'the decoded image is sent back');
+  t.equal(decoded.data.id, 1, 'to the request of the worker');
+  t.deepEqual(
+    decoded.transferList,
+    [decoded.data.result.data.buffer],
+    'the pixels of the image are transferred'
+  );
+
+  const result = {attributes: {}};
+  worker.reply({type: 'done', result});
+  t.equal(await job, result, 'the job resolves to the mesh of the worker');
+  pool.destroy();
+  t.ok(worker.terminated, 'idle workers are terminated with the pool');
+  t.end();
+});
+
+test('TerrainWorkerPool#worker reuse', async (t) => {
+  const {pool, workers} = createPool(1);
+  const first = pool.parse(new ArrayBuffer(8), {});
+  const second = pool.parse(new ArrayBuffer(8), {});
+  t.equal(workers[0].messages.length, 1, 'jobs past maxConcurrency are queued');
+
+  workers[0].reply({type: 'done', result: 1});
+  t.equal(await first, 1, 'the first job resolves');
+  t.equal(workers.length, 1, 'the queued job runs in the idle worker');
+  t.equal(workers[0].messages.length, 2, 'which is posted the next job');
+
+  workers[0].reply({type: 'error', message: 'Bad terrain'});
+  await t.rejects(second, /Bad terrain/, 'jobs failing in the worker are rejected');
+
+  const third = pool.parse(new ArrayBuffer(8), {});
+  t.equal(workers.length, 1, 'a worker is reused after a failed job');
+  workers[0].reply({type: 'done', result: 3});
+  t.equal(await third, 3, 'and runs the next job');
+  t.end();
+});
+
+test('TerrainWorkerPool#worker errors', async (t) => {
+  const {pool, workers} = createPool(1);
+  const job = pool.parse(new ArrayBuffer(8), {});
+
+  workers[0].onerror({message: 'Script failed to load'});
+  await t.rejects(job, /Terrain worker error: Script failed to load/, 'the job is rejected');
+  t.ok(workers[0].terminated, 'the worker is terminated');
+
+  const next = pool.parse(new ArrayBuffer(8), {});
+  t.equal(workers.length, 2, 'the worker is not reused');
+  workers[1].reply({type: 'done', result: 2});
+  t.equal(await next, 2, 'a new worker runs the next job');
+  t.end();
+});
+
+test('TerrainWorkerPool#abort', async (t) => {
+  const {pool, workers} = createPool(1);
+  const requestScheduler = {scheduleRequest: async () => ({done: () => {}})};
+  const loadTile = (index, onTileError) => {
+    const tile = new Tile2DHeader({...index, onTileLoad: () => {}, onTileError});
+    let job = null;
+    tile.loadData(({signal}) => {
+      job = pool.parse(new ArrayBuffer(8), {}, {signal});
+      return job;
+    }, requestScheduler);
+    return {tile, getJob: () => job};
+  };
+
+  let tileErrors = 0;
+  const running = loadTile({x: 0, y: 0, z: 1}, () => tileErrors++);
+  const queued = loadTile({x: 1, y: 0, z: 1}, () => tileErrors++);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  t.equal(workers[0].messages.length, 1, 'one job runs, the other is queued');
+
+  queued.tile.abort();
+  await t.rejects(queued.getJob(), /aborted/, 'the queued job of an aborted tile is rejected');
+  t.equal(pool.queue.length, 0, 'and removed from the queue');
+  t.notOk(workers[0].terminated, 'without stopping the running job');
+
+  running.tile.abort();
+  const error = await running.getJob().catch((reason) => reason);
+  t.equal(error.name, 'AbortError', 'the running job of an aborted tile is rejected');
+  t.ok(workers[0].terminated, 'and its worker terminated');
+  await running.tile.data;
+  t.notOk(running.tile.isLoaded, 'the tile is not loaded');
+  t.equal(tileErrors, 0, 'aborting is not a tile error');
+
+  const next = pool.parse(new ArrayBuffer(8), {});
+  t.equal(workers.length, 2, 'the terminated worker is not reused');
+  workers[1].reply({type: 'done', result: 1});
+  await next;
+
+  const controller = new AbortController();
+  controller.abort();
+  await t.rejects(
+    pool.parse(new ArrayBuffer(8), {}, {signal: controller.signal}),
+    /aborted/,
+    'jobs aborted before they start are rejected'
+  );
+  t.equal(workers[1].messages.length, 1, 'and never posted');
+  t.end();
+});
@@ -0,0 +1,80 @@
+import {BoundingSphere, CullingVolume, Plane} from '@math.gl/culling';
+import {
+  cartesianToCartographic,
+  cartographicToCartesian,
+  transformPositionToScaledSpace
+} from '../terrain-loader/src/lib/helpers/ellipsoid';
+
+const EARTH_RADIUS = 6371008.8;
+const MAX_LATITUDE = 85.051129;
+
+/**
+ * Cull loaded tiles with the bounding volumes of their data, e.g. the header of quantized-mesh
+ * tiles, which are tighter than the boxes of the tile traversal.
+ *
+ * @param {Viewport} viewport current viewport
+ * @returns {((volume: {boundingSphere?: {center: number[], radius: number},
+ *   horizonOcclusionPoint?: number[]}) => boolean) | null} true for a tile that is below the
+ *   horizon or outside of the frustum, null if the viewport is not geospatial
+ */
+export function getTileCuller(viewport) {
+  if (!viewport.isGeospatial) {
+    return null;
+  }
+
+  const planes = Object.values(viewport.getFrustumPlanes()).map(
+    ({normal, distance}) => new Plane(normal.clone().negate(), distance)
+  );
+  const cullingVolume = new CullingVolume(planes);
+  // Tiles of repeated worlds are only tested against the center one
+  const isRepeated = viewport.subViewports && viewport.subViewports.length > 1;
+
+  const camera = transformPositionToScaledSpace(
+    cartographicToCartesian(viewport.unprojectPosition(viewport.cameraPosition))
+  );
+
+  return ({boundingSphere, horizonOcclusionPoint}) =>
+    Boolean(
+      (horizonOcclusionPoint && isOccluded(camera, horizonOcclusionPoint)) ||
+        (boundingSphere &&
+          !isRepeated &&
+          cullingVolume.computeVisibility(toCommonSpace(viewport, boundingSphere)) < 0)
+    );
+}
+
+// Cesium's ellipsoidal occluder, in the frame where the ellipsoid is the unit sphere
+// https://cesium.com/blog/2013/04/25/horizon-culling/
+function isOccluded(camera, point) {
+  const horizonDistanceSquared = dot(camera, camera) - 1;
+  const cameraToPoint = point.map((value, i) => value - camera[i]);
+  const projection = -dot(cameraToPoint, camera);
+
+  if (horizonDistanceSquared < 0) {
+    // The camera is under the ellipsoid
+    return projection > 0;
+  }
+  return (
+    projection > horizonDistanceSquared &&
+    (projection * projection) / dot(cameraToPoint, cameraToPoint) > horizonDistanceSquared
+  );
+}
+
+// Bounding sphere in Earth-centered, Earth-fixed meters to deck's common space
+function toCommonSpace(viewport, {center, radius}) {
+  const [longitude, latitude, height] = cartesianToCartographic(center);
+  // The Web Mercator scale grows toward the poles, take it on the poleward side of the sphere
+  const polewardLatitude = Math.min(
+    Math.abs(latitude) + ((radius / EARTH_RADIUS) * 180) / Math.PI,
+    MAX_LATITUDE
+  );
+  const {unitsPerMeter} = viewport.getDistanceScales([longitude, polewardLatitude]);
+  const centerLatitude = Math.max(-MAX_LATITUDE, Math.min(latitude, MAX_LATITUDE));
+  return new BoundingSphere(
+    viewport.projectPosition([longitude, centerLatitude, height]),
+    radius * unitsPerMeter[0]
+  );
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
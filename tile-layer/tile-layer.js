@@ -25,6 +25,14 @@ const defaultProps = {
   onTileUnload: {type: 'function', value: () => {}, compare: false},
   // eslint-disable-next-line
   onTileError: {type: 'function', value: (err) => console.error(err), compare: false},
+  // Function ({x, y, z}) => boolean telling if the tileset has a tile of this layer's Web Mercator
+  // grid, e.g. from a layer.json. Missing tiles are not requested, their nearest available
+  // ancestor is shown instead
+  isTileAvailable: {type: 'function', optional: true, value: null, compare: false},
+  // Function (tile) => {boundingSphere, horizonOcclusionPoint} of the loaded tile data, e.g. the
+  // header of quantized-mesh tiles. Tiles below the horizon or outside of the frustum are hidden,
+  // and their descendants are not requested
+  getTileBoundingVolume: {type: 'function', optional: true, value: null, compare: false},
   extent: {
     type: 'array',
     optional: true,
@@ -115,8 +123,16 @@ export default class TileLayer extends CompositeLayer {
   _getTilesetOptions(props) {
     const maxZoom = Number.isFinite(this.state.maxZoom) ? this.state.maxZoom : props.maxZoom;
     const minZoom = Number.isFinite(this.state.minZoom) ? this.state.minZoom : props.minZoom;
-    const {tileSize, maxCacheSize, maxCacheByteSize, refinementStrategy, extent, maxRequests} =
-      props;
+    const {
+      tileSize,
+      maxCacheSize,
+      maxCacheByteSize,
+      refinementStrategy,
+      extent,
+      maxRequests,
+      isTileAvailable,
+      getTileBoundingVolume
+    } = props;
 
     return {
       maxCacheSize,
@@ -126,7 +142,9 @@ export default class TileLayer extends CompositeLayer {
       tileSize,
       refinementStrategy,
       extent,
-      maxRequests
+      maxRequests,
+      isTileAvailable,
+      getTileBoundingVolume
     };
   }
 
@@ -1,6 +1,7 @@
 import {RequestScheduler} from '@loaders.gl/loader-utils';
 import {Matrix4} from 'math.gl';
 import Tile2DHeader from './tile-2d-header';
+import {getTileCuller} from './tile-culling';
 import {getTileIndices, tileToBoundingBox} from './utils';
 
 const TILE_STATE_UNKNOWN = 0;
@@ -71,6 +72,7 @@ export default class Tileset2D {
 
     // Cache the last processed viewport
     this._viewport = null;
+    this._tileCuller = null;
     this._selectedTiles = null;
     this._frameNumber = 0;
 
@@ -91,6 +93,14 @@ export default class Tileset2D {
   }
 
   setOptions(opts) {
+    if (
+      ('isTileAvailable' in opts && opts.isTileAvailable !== this.opts.isTileAvailable) ||
+      ('getTileBoundingVolume' in opts &&
+        opts.getTileBoundingVolume !== this.opts.getTileBoundingVolume)
+    ) {
+      // Tiles are selected again on the next update
+      this._viewport = null;
+    }
     Object.assign(this.opts, opts);
     if (Number.isFinite(opts.maxZoom)) {
       this._maxZoom = Math.floor(opts.maxZoom);
@@ -124,7 +134,8 @@ export default class Tileset2D {
         this._modelMatrix = modelMatrix && modelMatrixAsMatrix4;
       }
       this._viewport = viewport;
-      const tileIndices = this.getTileIndices({
+      this._tileCuller = this.opts.getTileBoundingVolume ? getTileCuller(viewport) : null;
+      let tileIndices = this.getTileIndices({
         viewport,
         maxZoom: this._maxZoom,
         minZoom: this._minZoom,
@@ -132,6 +143,13 @@ export default class Tileset2D {
         modelMatrix: this._modelMatrix,
         modelMatrixInverse: this._modelMatrixInverse
       });
+      if (this.opts.isTileAvailable) {
+        tileIndices = this._getAvailableTileIndices(tileIndices);
+      }
+      if (this._tileCuller) {
+        // Descendants of a culled tile are culled too, they are not requested
+        tileIndices = tileIndices.filter((index) => !this._isCulled(index, true));
+      }
       this._selectedTiles = tileIndices.map((index) => this._getTile(index, true));
 
       if (this._dirty) {
@@ -196,7 +214,7 @@ export default class Tileset2D {
     let ongoingRequestCount = 0;
     let changed = false;
     for (const tile of this._cache.values()) {
-      const isVisible = Boolean(tile.state & TILE_STATE_VISIBLE);
+      const isVisible = Boolean(tile.state & TILE_STATE_VISIBLE) && !this._isCulled(tile);
       if (tile.isVisible !== isVisible) {
         changed = true;
         tile.isVisible = isVisible;
@@ -228,6 +246,60 @@ export default class Tileset2D {
 
   /* Private methods */
 
+  // Check if a loaded tile is below the horizon or outside of the frustum, from the bounding
+  // volume of its data. With checkAncestors, a tile under a culled ancestor is culled as well
+  _isCulled({x, y, z}, checkAncestors = false) {
+    const {_tileCuller} = this;
+    if (!_tileCuller) {
+      return false;
+    }
+    const {_minZoom = 0} = this;
+    let index = {x, y, z};
+
+    while (index) {
+      const tile = this._getTile(index);
+      const boundingVolume = tile && tile.isLoaded && this.opts.getTileBoundingVolume(tile);
+      if (boundingVolume && _tileCuller(boundingVolume)) {
+        return true;
+      }
+      index = checkAncestors && index.z > _minZoom ? this.getParentIndex(index) : null;
+    }
+    return false;
+  }
+
+  // Replace the tiles missing from the tileset by their nearest available ancestor, and drop
+  // the tiles under such an ancestor so that no two selected tiles overlap
+  _getAvailableTileIndices(tileIndices) {
+    const {isTileAvailable} = this.opts;
+    const {_minZoom = 0} = this;
+    const getTileId = ({x, y, z}) => `${x},${y},${z}`;
+
+    const availableIndices = new Map();
+    for (const {x, y, z} of tileIndices) {
+      let index = {x, y, z};
+      while (index && !isTileAvailable(index)) {
+        index = index.z > _minZoom ? this.getParentIndex(index) : null;
+      }
+      if (index) {
+        availableIndices.set(getTileId(index), index);
+      }
+    }
+
+    const result = [];
+    for (const index of availableIndices.values()) {
+      let ancestor = {...index};
+      let isCovered = false;
+      while (!isCovered && ancestor.z > _minZoom) {
+        ancestor = this.getParentIndex(ancestor);
+        isCovered = availableIndices.has(getTileId(ancestor));
+      }
+      if (!isCovered) {
+        result.push(index);
+      }
+    }
+    return result;
+  }
+
   // This needs to be called every time some tiles have been added/removed from cache
   _rebuildTree() {
     const {_cache} = this;